@@ -0,0 +1,176 @@
+const cli = require("../cli")
+const core = require('@actions/core');
+const git = require("../git")
+const File = require("../file")
+const fs = require('fs');
+
+jest.mock('@actions/core');
+jest.mock('../git');
+
+describe('cli', () => {
+  let stdout;
+  let stderr;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stdout = { write: jest.fn() };
+    stderr = { write: jest.fn() };
+    git.topLevel.mockReturnValue('/repo');
+    git.mergeBase.mockReturnValue('base-sha');
+  })
+
+  describe('parseArgs', () => {
+    it('has defaults', () => {
+      expect(cli.parseArgs([])).toEqual({
+        coverageFiles: ['coverage.json'],
+        sourceRoots: [],
+        stripPrefixes: [],
+        requireCoverageFor: [],
+        format: 'auto',
+        base: 'origin/main',
+        threshold: 90,
+        addPrefix: '',
+        configFile: '',
+        maxUncoveredLines: null,
+        maxUncoveredLinesPerFile: null,
+      });
+    })
+
+    it('parses options', () => {
+      expect(cli.parseArgs([
+        '--coverage', 'a/lcov.info',
+        '--coverage=b/*.info',
+        '--format', 'lcov',
+        '--base=origin/develop',
+        '--threshold', '75.5',
+        '--path-prefix-strip', '/app/',
+        '--path-prefix-add', 'packages/api',
+        '--source-root', 'src',
+        '--config', 'ci/coverage.yml',
+        '--max-uncovered-lines', '5',
+        '--max-uncovered-lines-per-file=2',
+        '--require-coverage-for', 'src/**',
+      ])).toEqual({
+        coverageFiles: ['a/lcov.info', 'b/*.info'],
+        sourceRoots: ['src'],
+        stripPrefixes: ['/app/'],
+        requireCoverageFor: ['src/**'],
+        format: 'lcov',
+        base: 'origin/develop',
+        threshold: 75.5,
+        addPrefix: 'packages/api',
+        configFile: 'ci/coverage.yml',
+        maxUncoveredLines: 5,
+        maxUncoveredLinesPerFile: 2,
+      });
+    })
+
+    it('rejects bad options', () => {
+      expect(() => cli.parseArgs(['--nope'])).toThrow('Unknown option: --nope');
+      expect(() => cli.parseArgs(['--base'])).toThrow('Missing value for --base');
+      expect(() => cli.parseArgs(['--threshold', 'lots'])).toThrow('--threshold must be a number');
+      expect(() => cli.parseArgs(['--max-uncovered-lines', '1.5'])).toThrow('--max-uncovered-lines must be a whole number');
+    })
+
+    it('asks for help', () => {
+      expect(cli.parseArgs(['--coverage', 'x', '-h']).help).toEqual(true);
+    })
+  })
+
+  describe('formatReport', () => {
+    it('lines up columns and lists uncovered ranges', () => {
+      const files = [
+        new File({ name: 'src/file1.js', changedLines: [1, 2, 3, 4, 5], coverageData: [1, 0, 1, 0, 1] }),
+        new File({ name: 'README.md', changedLines: [1, 2, 3], coverageData: [] }),
+      ];
+
+      expect(cli.formatReport({ files, title: 'Coverage for changed lines: 60%', summary: 'Based on 5 lines changed in 1 files.' })).toEqual([
+        'Coverage for changed lines: 60%',
+        'Based on 5 lines changed in 1 files.',
+        '',
+        'File          Changed  Missed                        Coverage',
+        'src/file1.js        5       2                             60%',
+        'README.md           3       -  skipped (not in coverage data)',
+        '',
+        'Uncovered changed lines:',
+        '  src/file1.js: 2, 4',
+        '',
+      ].join('\n'));
+    })
+  })
+
+  describe('main', () => {
+    const changes = `diff --git a/src/file1.js b/src/file1.js
+--- a/src/file1.js
++++ b/src/file1.js
+@@ -1,3 +1,3 @@
++1
++2
++3
+`;
+
+    beforeEach(() => {
+      jest.spyOn(fs, 'readFileSync').mockReturnValue(JSON.stringify({ 'src/file1.js': [1, 0, 1] }));
+      git.diff.mockReturnValue(changes);
+    })
+
+    afterEach(() => {
+      fs.readFileSync.mockRestore();
+    })
+
+    it('passes when coverage meets the threshold', async () => {
+      expect(await cli.main(['--threshold', '50'], { cwd: '/repo/src', stdout, stderr })).toEqual(0);
+
+      expect(git.mergeBase).toHaveBeenCalledWith('origin/main', 'HEAD', { cwd: '/repo/src' });
+      expect(git.diff).toHaveBeenCalledWith({ base: 'base-sha', cwd: '/repo' });
+      expect(stdout.write).toHaveBeenCalledWith(expect.stringContaining('Coverage for changed lines: 66.7%'));
+      expect(stderr.write).not.toHaveBeenCalled();
+    })
+
+    it('fails when coverage is below the threshold', async () => {
+      expect(await cli.main(['--base', 'origin/develop'], { stdout, stderr })).toEqual(1);
+
+      expect(git.mergeBase).toHaveBeenCalledWith('origin/develop', 'HEAD', expect.anything());
+      expect(stderr.write).toHaveBeenCalledWith(expect.stringContaining('Code coverage (66.7%) is below the required threshold (90%)'));
+    })
+
+    it('fails when there are more uncovered lines than allowed', async () => {
+      expect(await cli.main(['--threshold', '0', '--max-uncovered-lines', '0'], { stdout, stderr })).toEqual(1);
+
+      expect(stdout.write).toHaveBeenCalledWith(expect.stringContaining('Coverage for changed lines: 66.7%, 1 uncovered line (max 0)'));
+      expect(stderr.write).toHaveBeenCalledWith('\n1 changed line is not covered, more than the maximum of 0\n');
+    })
+
+    it('writes warnings to stderr instead of as workflow commands', async () => {
+      const warning = core.warning;
+      fs.readFileSync.mockImplementation(path => path === 'coverage.json'
+        ? JSON.stringify({ 'src/file1.js': [1, 1, 1] })
+        : '// coverage-enforcer: ignore-start\n');
+
+      expect(await cli.main([], { stdout, stderr })).toEqual(0);
+      expect(stderr.write).toHaveBeenCalledWith(
+        'warning: src/file1.js:1: coverage-enforcer: ignore-start on line 1 has no matching ignore-end, so the rest of the file is ignored\n'
+      );
+      expect(stdout.write).not.toHaveBeenCalledWith(expect.stringContaining('::'));
+      expect(warning).not.toHaveBeenCalled();
+      expect(core.warning).toBe(warning);
+    })
+
+    it('reports errors', async () => {
+      git.mergeBase.mockImplementation(() => {
+        throw new Error('fatal: Not a valid object name origin/main');
+      });
+
+      expect(await cli.main([], { stdout, stderr })).toEqual(2);
+      expect(stderr.write).toHaveBeenCalledWith('fatal: Not a valid object name origin/main\n');
+    })
+
+    it('shows usage', async () => {
+      expect(await cli.main(['--help'], { stdout, stderr })).toEqual(0);
+      expect(stdout.write).toHaveBeenCalledWith(expect.stringContaining('Usage: coverage-enforcer'));
+
+      expect(await cli.main(['--wat'], { stdout, stderr })).toEqual(2);
+      expect(stderr.write).toHaveBeenCalledWith(expect.stringContaining('Unknown option: --wat'));
+    })
+  })
+})
@@ -0,0 +1,100 @@
+const comment = require('../comment')
+const File = require('../file')
+
+describe('comment', () => {
+  const context = { repo: { owner: 'test-owner', repo: 'test-repo' } };
+  let octokit;
+
+  beforeEach(() => {
+    octokit = {
+      paginate: jest.fn(async (method, params) => (await method(params)).data),
+      rest: {
+        issues: {
+          listComments: jest.fn().mockResolvedValue({ data: [] }),
+          createComment: jest.fn(),
+          updateComment: jest.fn(),
+          deleteComment: jest.fn(),
+        },
+      },
+    };
+  })
+
+  describe('format', () => {
+    it('includes the summary and uncovered ranges', () => {
+      const files = [
+        new File({ name: 'src/a.js', changedLines: [1, 2, 3, 4, 5, 6], coverageData: [1, 0, 1, 1, 0, 0, 1] }),
+        new File({ name: 'src/b.js', changedLines: [1], coverageData: [1] }),
+        new File({ name: 'README.md', changedLines: [1], coverageData: [] }),
+      ];
+
+      expect(comment.format({ title: 'Coverage: 50%', summary: 'Based on...', details: '| table |', files })).toEqual([
+        '<!-- coverage-enforcer -->',
+        '### Coverage: 50%',
+        'Based on...',
+        '| table |',
+        '**Uncovered changed lines**',
+        '- `src/a.js`: 2, 5-6',
+      ].join('\n\n'));
+    })
+
+    it('leaves out the uncovered ranges when everything is covered', () => {
+      const files = [new File({ name: 'src/b.js', changedLines: [1], coverageData: [1] })];
+      expect(comment.format({ title: 'title', summary: 'summary', details: 'details', files })).not.toContain('Uncovered');
+    })
+  })
+
+  describe('upsert', () => {
+    it('creates a comment', async () => {
+      octokit.rest.issues.listComments.mockResolvedValue({ data: [{ id: 1, body: 'LGTM' }] });
+
+      await comment.upsert({ context, octokit, pullNumber: 123, body: 'body', recovered: false });
+
+      expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.issues.listComments, {
+        owner: 'test-owner',
+        repo: 'test-repo',
+        issue_number: 123,
+        per_page: 100,
+      });
+      expect(octokit.rest.issues.createComment).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        issue_number: 123,
+        body: 'body',
+      });
+    })
+
+    it('updates the previous comment', async () => {
+      octokit.rest.issues.listComments.mockResolvedValue({ data: [{ id: 1, body: 'LGTM' }, { id: 2, body: `${comment.MARKER}\n\nold` }] });
+
+      await comment.upsert({ context, octokit, pullNumber: 123, body: 'body', recovered: false });
+
+      expect(octokit.rest.issues.updateComment).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        comment_id: 2,
+        body: 'body',
+      });
+      expect(octokit.rest.issues.createComment).not.toHaveBeenCalled();
+    })
+
+    it('deletes the previous comment once coverage recovers', async () => {
+      octokit.rest.issues.listComments.mockResolvedValue({ data: [{ id: 2, body: `${comment.MARKER}\n\nold` }] });
+
+      await comment.upsert({ context, octokit, pullNumber: 123, body: 'body', recovered: true });
+
+      expect(octokit.rest.issues.deleteComment).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        comment_id: 2,
+      });
+      expect(octokit.rest.issues.updateComment).not.toHaveBeenCalled();
+    })
+
+    it('does not comment once coverage recovers', async () => {
+      await comment.upsert({ context, octokit, pullNumber: 123, body: 'body', recovered: true });
+
+      expect(octokit.rest.issues.createComment).not.toHaveBeenCalled();
+      expect(octokit.rest.issues.deleteComment).not.toHaveBeenCalled();
+    })
+  })
+})
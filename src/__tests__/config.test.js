@@ -0,0 +1,83 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const config = require('../config')
+
+describe('config', () => {
+  describe('parse', () => {
+    it('reads include and exclude globs', () => {
+      expect(config.parse('include:\n  - src/**\nexclude:\n  - "**/migrations/**"\n  - "*.generated.ts"\n')).toEqual({
+        ...config.defaults(),
+        include: ['src/**'],
+        exclude: ['**/migrations/**', '*.generated.ts'],
+      });
+    })
+
+    it('accepts a single glob', () => {
+      expect(config.parse('exclude: "*.test.js"')).toEqual({...config.defaults(), exclude: ['*.test.js']});
+    })
+
+    it('reads threshold rules in order', () => {
+      expect(config.parse('thresholds:\n  src/payments/**: 100\n  src/ui/**: 70\nper-file-threshold: true\n')).toEqual({
+        ...config.defaults(),
+        thresholds: [{pattern: 'src/payments/**', threshold: 100}, {pattern: 'src/ui/**', threshold: 70}],
+        perFileThreshold: true,
+      });
+    })
+
+    it('handles empty files', () => {
+      expect(config.parse('')).toEqual(config.defaults());
+    })
+
+    it('rejects invalid config', () => {
+      expect(() => config.parse('- a')).toThrow('Invalid configuration: expected a mapping of options');
+      expect(() => config.parse('exclude:\n  a: b')).toThrow('Invalid configuration: exclude must be a glob or list of globs');
+      expect(() => config.parse('thresholds:\n  - 100')).toThrow('Invalid configuration: thresholds must be a mapping of glob to percentage');
+      expect(() => config.parse('thresholds:\n  src/**: lots')).toThrow('Invalid configuration: threshold for src/** must be a percentage');
+      expect(() => config.parse('thresholds:\n  src/**: 101')).toThrow('Invalid configuration: threshold for src/** must be a percentage');
+    })
+  })
+
+  describe('load', () => {
+    let workspace;
+
+    beforeEach(() => {
+      workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'coverage-enforcer-'));
+    })
+
+    afterEach(() => {
+      fs.rmSync(workspace, {recursive: true, force: true});
+    })
+
+    it('loads the default config file from the workspace', () => {
+      fs.writeFileSync(path.join(workspace, '.coverage-enforcer.yml'), 'exclude: "*.md"');
+      expect(config.load('', {workspace})).toEqual({...config.defaults(), exclude: ['*.md']});
+    })
+
+    it('falls back to defaults when there is no config file', () => {
+      expect(config.load('', {workspace})).toEqual(config.defaults());
+      expect(config.load('.coverage-enforcer.yml', {workspace})).toEqual(config.defaults());
+    })
+
+    it('requires an explicitly configured file to exist', () => {
+      expect(() => config.load('ci/coverage.yml', {workspace})).toThrow('Config file not found: ci/coverage.yml');
+    })
+  })
+
+  describe('skipReason', () => {
+    it('skips excluded files', () => {
+      const options = {include: [], exclude: ['db/migrations/**', '*.generated.ts', '**/*.test.js']};
+      expect(config.skipReason('db/migrations/001_init.js', options)).toEqual('excluded by config (db/migrations/**)');
+      expect(config.skipReason('src/api/client.generated.ts', options)).toEqual('excluded by config (*.generated.ts)');
+      expect(config.skipReason('src/app.test.js', options)).toEqual('excluded by config (**/*.test.js)');
+      expect(config.skipReason('src/app.js', options)).toBeNull();
+    })
+
+    it('skips files that are not included', () => {
+      const options = {include: ['src/**'], exclude: ['src/vendor/**']};
+      expect(config.skipReason('scripts/deploy.js', options)).toEqual('not included by config');
+      expect(config.skipReason('src/vendor/lib.js', options)).toEqual('excluded by config (src/vendor/**)');
+      expect(config.skipReason('src/app.js', options)).toBeNull();
+    })
+  })
+})
@@ -0,0 +1,150 @@
+const fs = require('fs')
+const path = require('path')
+const diff = require('../diff')
+
+const fixtures = path.join(__dirname, 'fixtures', 'diffs');
+
+describe('diff', () => {
+  describe('parseDiff', () => {
+    it('splits a multi-file diff', () => {
+      const text = [
+        'diff --git a/src/file1.js b/src/file1.js',
+        'index 83db48f..bf269f4 100644',
+        '--- a/src/file1.js',
+        '+++ b/src/file1.js',
+        '@@ -1,3 +1,3 @@',
+        ' one',
+        '-two',
+        '+TWO',
+        ' three',
+        'diff --git a/src/file2.js b/src/file2.js',
+        'new file mode 100644',
+        'index 0000000..e69de29',
+        '--- /dev/null',
+        '+++ b/src/file2.js',
+        '@@ -0,0 +1,2 @@',
+        '+a',
+        '+b',
+        '',
+      ].join('\n');
+
+      expect(diff.parseDiff(text)).toEqual([
+        {
+          filename: 'src/file1.js',
+          status: 'modified',
+          additions: 1,
+          deletions: 1,
+          changes: 2,
+          patch: '@@ -1,3 +1,3 @@\n one\n-two\n+TWO\n three',
+        },
+        {
+          filename: 'src/file2.js',
+          status: 'added',
+          additions: 2,
+          deletions: 0,
+          changes: 2,
+          patch: '@@ -0,0 +1,2 @@\n+a\n+b',
+        },
+      ]);
+    })
+
+    it('handles renames and deletions', () => {
+      const text = [
+        'diff --git a/src/old.js b/src/new.js',
+        'similarity index 100%',
+        'rename from src/old.js',
+        'rename to src/new.js',
+        'diff --git a/src/moved.js b/lib/moved.js',
+        'similarity index 90%',
+        'rename from src/moved.js',
+        'rename to lib/moved.js',
+        'index 83db48f..bf269f4 100644',
+        '--- a/src/moved.js',
+        '+++ b/lib/moved.js',
+        '@@ -1 +1 @@',
+        '-x',
+        '+y',
+        'diff --git a/src/gone.js b/src/gone.js',
+        'deleted file mode 100644',
+        'index e69de29..0000000',
+        '--- a/src/gone.js',
+        '+++ /dev/null',
+        '@@ -1 +0,0 @@',
+        '-x',
+      ].join('\n');
+
+      expect(diff.parseDiff(text)).toEqual([
+        expect.objectContaining({filename: 'src/new.js', previous_filename: 'src/old.js', status: 'renamed', changes: 0}),
+        expect.objectContaining({filename: 'lib/moved.js', previous_filename: 'src/moved.js', status: 'renamed', changes: 2, patch: '@@ -1 +1 @@\n-x\n+y'}),
+        expect.objectContaining({filename: 'src/gone.js', status: 'removed', changes: 1}),
+      ]);
+      expect(diff.parseDiff(text)[0].patch).toBeUndefined();
+    })
+
+    it('handles quoted file names and binary files', () => {
+      const text = [
+        'diff --git "a/src/tab\\there.js" "b/src/tab\\there.js"',
+        '--- "a/src/tab\\there.js"',
+        '+++ "b/src/tab\\there.js"',
+        '@@ -1 +1 @@',
+        '-x',
+        '+y',
+        'diff --git a/logo.png b/logo.png',
+        'index 83db48f..bf269f4 100644',
+        'Binary files a/logo.png and b/logo.png differ',
+      ].join('\r\n');
+
+      expect(diff.parseDiff(text)).toEqual([
+        expect.objectContaining({filename: 'src/tab\there.js', changes: 2}),
+        expect.objectContaining({filename: 'logo.png', changes: 0}),
+      ]);
+    })
+
+    it('ignores the signature after the last hunk of a format-patch', () => {
+      const text = [
+        'diff --git a/src/file1.js b/src/file1.js',
+        '--- a/src/file1.js',
+        '+++ b/src/file1.js',
+        '@@ -1,2 +1,2 @@',
+        '-x',
+        '+y',
+        ' z',
+        '\\ No newline at end of file',
+        '-- ',
+        '2.39.2',
+        '',
+      ].join('\n');
+
+      expect(diff.parseDiff(text)).toEqual([
+        expect.objectContaining({
+          filename: 'src/file1.js', additions: 1, deletions: 1, changes: 2,
+          patch: '@@ -1,2 +1,2 @@\n-x\n+y\n z\n\\ No newline at end of file'
+        }),
+      ]);
+    })
+
+    it('ignores anything before the first file', () => {
+      expect(diff.parseDiff('From 1234 Mon Sep 17 00:00:00 2001\nSubject: [PATCH] x\n\n')).toEqual([]);
+    })
+  })
+  describe('parsePatch', () => {
+    it('handles missing patches', () => {
+      expect(diff.parsePatch(undefined)).toEqual({hunks: [], added: [], removed: []});
+      expect(diff.parsePatch(null)).toEqual({hunks: [], added: [], removed: []});
+    })
+
+    it('ignores file headers around hunks', () => {
+      const patch = '--- a/foo.js\n+++ b/foo.js\n@@ -1 +1 @@\n-a\n+b\ndiff --git a/bar.js b/bar.js\n--- a/bar.js\n+++ b/bar.js\n';
+      expect(diff.parsePatch(patch).added).toEqual([{lineNumber: 1, content: 'b'}]);
+      expect(diff.parsePatch(patch).removed).toEqual([{lineNumber: 1, content: 'a'}]);
+    })
+
+    fs.readdirSync(fixtures).filter(name => name.endsWith('.diff')).forEach(name => {
+      it(`parses ${name}`, () => {
+        const patch = fs.readFileSync(path.join(fixtures, name), 'utf8');
+        const expected = JSON.parse(fs.readFileSync(path.join(fixtures, name.replace(/\.diff$/, '.json')), 'utf8'));
+        expect(diff.parsePatch(patch)).toEqual(expected);
+      })
+    })
+  })
+})
@@ -95,6 +95,19 @@ describe('File', () => {
       coverageData: [],
     });
     expect(instance.skipped).toEqual(true);
+    expect(instance.skipReason).toEqual('not in coverage data');
+  })
+
+  it('records why a file was skipped', () => {
+    const instance = new File({
+      name: "foo.js",
+      skipReason: 'renamed without changes',
+      changedLines: [],
+      coverageData: [1, 0],
+    });
+    expect(instance.skipped).toEqual(true);
+    expect(instance.skipReason).toEqual('renamed without changes');
+    expect(new File({name: "foo.js", changedLines: [1], coverageData: [1]}).skipReason).toEqual(null);
   })
 
   it('skips over comments etc in ranges', () => {
@@ -132,4 +145,58 @@ describe('File', () => {
       }
     ])
   })
+
+  it('treats ignored lines as not executable', () => {
+    const instance = new File({
+      name: "foo.js",
+      changedLines: [1, 2, 3],
+      coverageData: [1, 0, 0],
+      ignoredLines: [2, 3],
+    });
+    expect(instance.coverageData).toEqual([1, null, null]);
+    expect(instance.relevantLines).toEqual([1]);
+    expect(instance.ignoredChangedLines).toEqual([2, 3]);
+    expect(instance.coveragePercent).toEqual(100);
+    expect(instance.annotations).toEqual([]);
+  })
+
+  it('annotates files that were never loaded by the test suite', () => {
+    const instance = new File({
+      name: "foo.js",
+      changedLines: [1, 2, 3],
+      coverageData: [0, null, 0],
+      notLoaded: true,
+    });
+    expect(instance.skipped).toEqual(false);
+    expect(instance.partOfTestSuite).toEqual(false);
+    expect(instance.coveragePercent).toEqual(0);
+    expect(instance.annotations).toEqual([
+      {
+        path: 'foo.js',
+        start_line: 1,
+        end_line: 3,
+        annotation_level: 'warning',
+        message: 'File not loaded by test suite'
+      }
+    ])
+  })
+
+  it('annotates an uncovered last line', () => {
+    const instance = new File({
+      name: "foo.js",
+      changedLines: [3],
+      coverageData: [1, null, 0],
+    });
+    expect(instance.coveragePercent).toEqual(0);
+    expect(instance.changedUnexecutedLineRanges).toEqual([{start: 3, end: 3, formatted: '3'}]);
+    expect(instance.annotations).toEqual([
+      {
+        path: 'foo.js',
+        start_line: 3,
+        end_line: 3,
+        annotation_level: 'warning',
+        message: 'Line 3 has no coverage'
+      }
+    ])
+  })
 })
@@ -0,0 +1,82 @@
+const childProcess = require('child_process')
+const git = require('../git')
+
+describe('git', () => {
+  let execFileSync;
+
+  beforeEach(() => {
+    execFileSync = jest.spyOn(childProcess, 'execFileSync').mockReturnValue('diff output');
+  })
+
+  afterEach(() => {
+    execFileSync.mockRestore();
+  })
+
+  describe('diff', () => {
+    it('diffs head against its merge base with base', () => {
+      expect(git.diff({base: 'origin/main', head: 'HEAD', cwd: '/repo'})).toEqual('diff output');
+      expect(execFileSync).toHaveBeenCalledWith(
+        'git',
+        ['diff', '--no-color', '--no-ext-diff', '--find-renames', '--src-prefix=a/', '--dst-prefix=b/', 'origin/main...HEAD'],
+        expect.objectContaining({cwd: '/repo', encoding: 'utf8'})
+      );
+    })
+
+    it('limits the diff to paths', () => {
+      git.diff({base: 'abc', head: 'def', paths: ['a.js', 'b.js']});
+      expect(execFileSync).toHaveBeenCalledWith(
+        'git',
+        ['diff', '--no-color', '--no-ext-diff', '--find-renames', '--src-prefix=a/', '--dst-prefix=b/', 'abc...def', '--', 'a.js', 'b.js'],
+        expect.anything()
+      );
+    })
+
+    it('diffs the working tree when there is no head', () => {
+      git.diff({base: 'abc'});
+      expect(execFileSync).toHaveBeenCalledWith(
+        'git',
+        ['diff', '--no-color', '--no-ext-diff', '--find-renames', '--src-prefix=a/', '--dst-prefix=b/', 'abc'],
+        expect.anything()
+      );
+    })
+  })
+
+  describe('mergeBase', () => {
+    it('finds the merge base', () => {
+      execFileSync.mockReturnValue('abc123\n');
+      expect(git.mergeBase('origin/main', 'HEAD')).toEqual('abc123');
+      expect(execFileSync).toHaveBeenCalledWith('git', ['merge-base', 'origin/main', 'HEAD'], expect.anything());
+    })
+  })
+
+  describe('topLevel', () => {
+    it('finds the repository root', () => {
+      execFileSync.mockReturnValue('/repo\n');
+      expect(git.topLevel({cwd: '/repo/src'})).toEqual('/repo');
+      expect(execFileSync).toHaveBeenCalledWith('git', ['rev-parse', '--show-toplevel'], expect.objectContaining({cwd: '/repo/src'}));
+    })
+  })
+
+  describe('resolveRef', () => {
+    it('leaves SHAs alone', () => {
+      expect(git.resolveRef('0123456789abcdef0123456789abcdef01234567')).toEqual('0123456789abcdef0123456789abcdef01234567');
+      expect(execFileSync).not.toHaveBeenCalled();
+    })
+
+    it('prefers remote-tracking branches', () => {
+      expect(git.resolveRef('main', {cwd: '/repo'})).toEqual('origin/main');
+      expect(execFileSync).toHaveBeenCalledWith(
+        'git',
+        ['rev-parse', '--verify', '--quiet', 'refs/remotes/origin/main'],
+        expect.objectContaining({cwd: '/repo'})
+      );
+    })
+
+    it('falls back to the ref', () => {
+      execFileSync.mockImplementation(() => {
+        throw new Error('exit code 1');
+      });
+      expect(git.resolveRef('v1.2.0')).toEqual('v1.2.0');
+    })
+  })
+})
@@ -1,12 +1,17 @@
 const logic = require("../logic")
+const git = require("../git")
+const File = require("../file")
 
 const core = require('@actions/core');
 const github = require('@actions/github');
+const glob = require('@actions/glob');
 const fs = require('fs');
 
 // Mock the required modules
 jest.mock('@actions/core');
 jest.mock('@actions/github');
+jest.mock('@actions/glob');
+jest.mock('../git');
 
 // mock "fs" package
 const readFileSyncMock = jest.spyOn(fs, 'readFileSync').mockImplementation()
@@ -15,21 +20,42 @@ describe('Coverage Annotator', () => {
   let mockOctokit;
   let mockContext;
 
+  // Mock action inputs: sensible defaults, with any overrides a test needs
+  const mockInputs = (overrides = {}) => {
+    const inputs = {
+      'coverage-file': 'coverage.json',
+      'coverage-threshold': '80',
+      'github-token': 'test-token',
+      'annotate': 'true',
+      ...overrides,
+    };
+    core.getInput.mockImplementation((name) => inputs[name] || '');
+  };
+
   beforeEach(() => {
     // Reset all mocks
     jest.clearAllMocks();
 
     // Setup mock octokit
     mockOctokit = {
+      paginate: jest.fn(async (method, params) => (await method(params)).data),
       rest: {
         pulls: {
           listFiles: jest.fn(),
+          get: jest.fn(),
         },
         repos: {
           compareCommits: jest.fn(),
         },
+        issues: {
+          listComments: jest.fn().mockResolvedValue({ data: [] }),
+          createComment: jest.fn(),
+          updateComment: jest.fn(),
+          deleteComment: jest.fn(),
+        },
         checks: {
-          create: jest.fn(),
+          create: jest.fn().mockResolvedValue({ data: { id: 456 } }),
+          update: jest.fn(),
         },
       },
     };
@@ -47,6 +73,9 @@ describe('Coverage Annotator', () => {
       eventName: 'pull_request',
       payload: {
         pull_request: {
+          base: {
+            sha: "base-sha"
+          },
           head: {
             sha: "head-sha"
           }
@@ -54,22 +83,14 @@ describe('Coverage Annotator', () => {
       }
     };
 
-    // Setup core.getInput mock
-    core.getInput.mockImplementation((name) => {
-      switch (name) {
-        case 'coverage-file':
-          return 'coverage.json';
-        case 'coverage-threshold':
-          return '80';
-        case 'github-token':
-          return 'test-token';
-        case 'annotate':
-          return 'true';
-        default:
-          return '';
-      }
+    mockInputs();
+
+    core.getMultilineInput.mockImplementation((name) => {
+      return core.getInput(name).split('\n').filter(line => line !== '');
     });
 
+    git.resolveRef.mockImplementation((ref) => ref);
+
     // Setup github.getOctokit mock
     github.getOctokit.mockReturnValue(mockOctokit);
     github.context = mockContext;
@@ -89,6 +110,134 @@ describe('Coverage Annotator', () => {
       expect(fs.readFileSync).toHaveBeenCalledWith(path, 'utf8');
 
     })
+
+    it('reads LCOV coverage data', () => {
+      readFileSyncMock.mockReturnValue('TN:\nSF:src/file1.js\nDA:1,1\nDA:2,0\nend_of_record\n');
+
+      expect(logic.read('lcov.info')).toEqual({'src/file1.js': [1, 0]});
+      expect(logic.read('lcov.info', {format: 'lcov'})).toEqual({'src/file1.js': [1, 0]});
+    })
+
+    it('throws when a coverage file has no files in it', () => {
+      readFileSyncMock.mockReturnValue('<?xml version="1.0"?>\n<coverage version="7.4"><packages></packages></coverage>');
+
+      expect(() => logic.read('coverage.xml')).toThrow('No coverage data found in coverage.xml');
+    })
+  })
+
+  describe('readAll', () => {
+    it('merges coverage data from several files', async () => {
+      glob.create.mockResolvedValue({glob: async () => ['shard-2/lcov.info', 'shard-1/lcov.info']});
+      readFileSyncMock.mockImplementation((path) => {
+        switch (path) {
+          case 'shard-1/lcov.info':
+            return 'SF:src/file1.js\nDA:1,1\nDA:2,0\nend_of_record\n';
+          case 'shard-2/lcov.info':
+            return 'SF:src/file1.js\nDA:2,3\nDA:3,0\nend_of_record\n';
+          case 'coverage.json':
+            return JSON.stringify({'src/file2.js': [null, 1]});
+        }
+      });
+
+      const result = await logic.readAll(['shard-*/lcov.info', 'coverage.json']);
+      expect(glob.create).toHaveBeenCalledWith('shard-*/lcov.info', {matchDirectories: false});
+      expect(readFileSyncMock.mock.calls.map(call => call[0])).toEqual(['shard-1/lcov.info', 'shard-2/lcov.info', 'coverage.json']);
+      expect(result).toEqual({
+        'src/file1.js': [1, 3, 0],
+        'src/file2.js': [null, 1],
+      });
+    })
+
+    it('throws when nothing matches', async () => {
+      glob.create.mockResolvedValue({glob: async () => []});
+      await expect(logic.readAll(['missing/*.info'])).rejects.toThrow('No coverage files found matching missing/*.info');
+    })
+  })
+
+  describe('determineComparison', () => {
+    it('uses the pull request for pull_request and pull_request_target events', async () => {
+      for (const eventName of ['pull_request', 'pull_request_target']) {
+        mockContext.eventName = eventName;
+        expect(await logic.determineComparison({ context: mockContext, octokit: mockOctokit })).toEqual({
+          pullNumber: 123,
+          base: 'base-sha',
+          head: 'head-sha'
+        });
+      }
+    });
+
+    it('compares the queue base and head for merge_group events', async () => {
+      mockContext.eventName = 'merge_group';
+      mockContext.payload = { merge_group: { base_sha: 'queue-base', head_sha: 'queue-head' } };
+
+      expect(await logic.determineComparison({ context: mockContext, octokit: mockOctokit })).toEqual({
+        pullNumber: null,
+        base: 'queue-base',
+        head: 'queue-head'
+      });
+    });
+
+    it('uses the pull request listed in workflow_run events', async () => {
+      mockContext.eventName = 'workflow_run';
+      mockContext.payload = {
+        workflow_run: {
+          head_sha: 'run-head-sha',
+          pull_requests: [{ number: 77, base: { sha: 'pr-base-sha' }, head: { sha: 'run-head-sha' } }]
+        }
+      };
+
+      expect(await logic.determineComparison({ context: mockContext, octokit: mockOctokit })).toEqual({
+        pullNumber: 77,
+        base: 'pr-base-sha',
+        head: 'run-head-sha'
+      });
+    });
+
+    it('finds pull requests from forks for workflow_run events', async () => {
+      mockContext.eventName = 'workflow_run';
+      mockContext.payload = {
+        workflow_run: {
+          head_sha: 'run-head-sha',
+          head_branch: 'feature',
+          head_repository: { owner: { login: 'forker' } },
+          pull_requests: []
+        }
+      };
+      mockOctokit.paginate.mockResolvedValue([
+        { number: 88, base: { sha: 'old-base' }, head: { sha: 'older-sha' } },
+        { number: 89, base: { sha: 'pr-base-sha' }, head: { sha: 'run-head-sha' } },
+      ]);
+
+      expect(await logic.determineComparison({ context: mockContext, octokit: mockOctokit })).toEqual({
+        pullNumber: 89,
+        base: 'pr-base-sha',
+        head: 'run-head-sha'
+      });
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.pulls.list, expect.objectContaining({
+        state: 'open',
+        head: 'forker:feature'
+      }));
+    });
+
+    it('compares workflow_run events without a pull request against the default branch', async () => {
+      mockContext.eventName = 'workflow_run';
+      mockContext.payload = {
+        repository: { default_branch: 'main' },
+        workflow_run: {
+          head_sha: 'run-head-sha',
+          head_branch: 'feature',
+          head_repository: { owner: { login: 'test-owner' } },
+          pull_requests: []
+        }
+      };
+      mockOctokit.paginate.mockResolvedValue([]);
+
+      expect(await logic.determineComparison({ context: mockContext, octokit: mockOctokit })).toEqual({
+        pullNumber: null,
+        base: 'main',
+        head: 'run-head-sha'
+      });
+    });
   })
 
   describe('determineChangedFiles', () => {
@@ -106,14 +255,26 @@ describe('Coverage Annotator', () => {
       const result = await logic.determineChangedFiles({ context: mockContext, octokit: mockOctokit });
 
       // Verify the correct API was called with right parameters
-      expect(mockOctokit.rest.pulls.listFiles).toHaveBeenCalledWith({
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.pulls.listFiles, {
         owner: 'test-owner',
         repo: 'test-repo',
-        pull_number: 123
+        pull_number: 123,
+        per_page: 100
       });
 
       // Verify the result
       expect(result).toEqual(mockFiles);
+      expect(core.warning).not.toHaveBeenCalled();
+    });
+
+    it('warns when a PR has too many files to list', async () => {
+      const mockFiles = Array.from({length: 3000}, (_, i) => ({ filename: `src/file${i}.js`, patch: 'patch' }));
+      mockOctokit.paginate.mockResolvedValue(mockFiles);
+
+      const result = await logic.determineChangedFiles({ context: mockContext, octokit: mockOctokit });
+
+      expect(result).toHaveLength(3000);
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('limit of 3000 listed files'));
     });
 
     it('returns details of changed files for a push', async () => {
@@ -147,6 +308,129 @@ describe('Coverage Annotator', () => {
       // Verify the result
       expect(result).toEqual(mockFiles);
     });
+
+    it('compares pushes against the previous tip of the branch', async () => {
+      mockOctokit.rest.repos.compareCommits.mockResolvedValue({ data: { files: [] } });
+      mockContext.eventName = 'push';
+      mockContext.payload = {
+        before: 'before-sha',
+        repository: {
+          default_branch: 'main'
+        }
+      };
+
+      await logic.determineChangedFiles({ context: mockContext, octokit: mockOctokit });
+
+      expect(mockOctokit.rest.repos.compareCommits).toHaveBeenCalledWith(expect.objectContaining({
+        base: 'before-sha',
+        head: 'merge-sha'
+      }));
+    });
+
+    it('compares new branches against the default branch', async () => {
+      mockOctokit.rest.repos.compareCommits.mockResolvedValue({ data: { files: [] } });
+      mockContext.eventName = 'push';
+      mockContext.payload = {
+        before: '0000000000000000000000000000000000000000',
+        repository: {
+          default_branch: 'main'
+        }
+      };
+
+      await logic.determineChangedFiles({ context: mockContext, octokit: mockOctokit });
+
+      expect(mockOctokit.rest.repos.compareCommits).toHaveBeenCalledWith(expect.objectContaining({
+        base: 'main'
+      }));
+    });
+
+    it('compares pushes against an explicit base ref', async () => {
+      mockOctokit.rest.repos.compareCommits.mockResolvedValue({ data: { files: [] } });
+      mockContext.eventName = 'push';
+      mockContext.payload = {
+        before: 'before-sha',
+        repository: {
+          default_branch: 'main'
+        }
+      };
+
+      await logic.determineChangedFiles({ context: mockContext, octokit: mockOctokit, baseRef: 'v1.2.0' });
+
+      expect(mockOctokit.rest.repos.compareCommits).toHaveBeenCalledWith(expect.objectContaining({
+        base: 'v1.2.0'
+      }));
+    });
+  })
+
+  describe('fillMissingPatches', () => {
+    const largeDiff = `diff --git a/src/big.js b/src/big.js
+index 83db48f..bf269f4 100644
+--- a/src/big.js
++++ b/src/big.js
+@@ -1,2 +1,2 @@
+ one
+-two
++TWO
+`;
+
+    it('leaves files with patches alone', async () => {
+      const changedFiles = [{ filename: 'src/file1.js', status: 'modified', changes: 1, patch: '@@ -1 +1 @@\n+1' }];
+
+      const result = await logic.fillMissingPatches({ context: mockContext, octokit: mockOctokit, changedFiles });
+
+      expect(result).toEqual(changedFiles);
+      expect(mockOctokit.rest.pulls.get).not.toHaveBeenCalled();
+    });
+
+    it('fetches the pull request diff for files without a patch', async () => {
+      mockOctokit.rest.pulls.get.mockResolvedValue({ data: largeDiff });
+      const changedFiles = [
+        { filename: 'src/big.js', status: 'modified', changes: 20000 },
+        { filename: 'src/removed.js', status: 'removed', changes: 3 },
+      ];
+
+      const result = await logic.fillMissingPatches({ context: mockContext, octokit: mockOctokit, changedFiles });
+
+      expect(mockOctokit.rest.pulls.get).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        pull_number: 123,
+        mediaType: { format: 'diff' }
+      });
+      expect(git.diff).not.toHaveBeenCalled();
+      expect(result).toEqual([
+        { filename: 'src/big.js', status: 'modified', changes: 20000, patch: '@@ -1,2 +1,2 @@\n one\n-two\n+TWO' },
+        { filename: 'src/removed.js', status: 'removed', changes: 3 },
+      ]);
+    });
+
+    it('falls back to git diff', async () => {
+      mockOctokit.rest.pulls.get.mockRejectedValue(new Error('diff too large'));
+      git.diff.mockReturnValue(largeDiff);
+      const changedFiles = [{ filename: 'src/big.js', previous_filename: 'src/old.js', status: 'renamed', changes: 20000 }];
+
+      const result = await logic.fillMissingPatches({ context: mockContext, octokit: mockOctokit, changedFiles, workspace: '/repo' });
+
+      expect(git.diff).toHaveBeenCalledWith({ base: 'base-sha', head: 'head-sha', paths: ['src/old.js', 'src/big.js'], cwd: '/repo' });
+      expect(result[0].patch).toEqual('@@ -1,2 +1,2 @@\n one\n-two\n+TWO');
+    });
+
+    it('skips files when no diff is available', async () => {
+      mockContext.eventName = 'push';
+      mockContext.payload = { repository: { default_branch: 'main' } };
+      git.resolveRef.mockImplementation((ref) => `origin/${ref}`);
+      git.diff.mockImplementation(() => {
+        throw new Error('fatal: bad revision');
+      });
+      const changedFiles = [{ filename: 'src/big.js', status: 'added', changes: 20000 }];
+
+      const result = await logic.fillMissingPatches({ context: mockContext, octokit: mockOctokit, changedFiles });
+
+      expect(mockOctokit.rest.pulls.get).not.toHaveBeenCalled();
+      expect(git.diff).toHaveBeenCalledWith(expect.objectContaining({ base: 'origin/main', head: 'merge-sha' }));
+      expect(result).toEqual([{ filename: 'src/big.js', status: 'added', changes: 20000, skipReason: 'no diff available' }]);
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('No diff available for src/big.js'));
+    });
   })
 
   describe('determineCommitSha', () => {
@@ -157,6 +441,20 @@ describe('Coverage Annotator', () => {
       expect(logic.determineCommitSha(github)).toEqual('abc1234');
     })
 
+    it('finds SHA for pull_request_target events', () => {
+      mockContext.eventName = 'pull_request_target';
+      mockContext.payload.pull_request.head.sha = 'abc1234';
+
+      expect(logic.determineCommitSha(github)).toEqual('abc1234');
+    })
+
+    it('finds SHA for workflow_run events', () => {
+      mockContext.eventName = 'workflow_run';
+      mockContext.payload = { workflow_run: { head_sha: 'abc1234' } };
+
+      expect(logic.determineCommitSha(github)).toEqual('abc1234');
+    })
+
     it('finds SHA for commits', () => {
       mockContext.eventName = 'commit';
       mockContext.sha = 'abc1234';
@@ -165,6 +463,234 @@ describe('Coverage Annotator', () => {
     })
   })
 
+  describe('calculateProjectCoverage', () => {
+    it('counts executed lines across every file', () => {
+      expect(logic.calculateProjectCoverage({
+        'src/a.js': [1, 0, null, 2],
+        'src/b.js': [0, null],
+      })).toEqual(50);
+    })
+
+    it('handles no executable lines', () => {
+      expect(logic.calculateProjectCoverage({})).toEqual(100);
+      expect(logic.calculateProjectCoverage({ 'src/a.js': [null] })).toEqual(100);
+    })
+  })
+
+  describe('compareProjectCoverage', () => {
+    it('compares head with base', () => {
+      expect(logic.compareProjectCoverage({
+        baseCoverageData: { 'src/a.js': [1, 1, 1, 0] },
+        coverageData: { 'src/a.js': [1, 1, 0, 0] },
+        tolerance: 1,
+      })).toEqual({ base: 75, head: 50, delta: -25, tolerance: 1 });
+    })
+  })
+
+  describe('evaluateThresholds', () => {
+    const payments = new File({ name: 'src/payments/charge.js', changedLines: [1, 2], coverageData: [1, 1] });
+    const refunds = new File({ name: 'src/payments/refund.js', changedLines: [1, 2], coverageData: [1, 0] });
+    const ui = new File({ name: 'src/ui/button.js', changedLines: [1, 2, 3, 4], coverageData: [1, 1, 1, 0] });
+    const other = new File({ name: 'lib/util.js', changedLines: [1], coverageData: [1] });
+    const config = {
+      include: [],
+      exclude: [],
+      thresholds: [{ pattern: 'src/payments/**', threshold: 100 }, { pattern: 'src/**', threshold: 70 }],
+      perFileThreshold: false,
+    };
+
+    it('checks only the overall coverage when there are no rules', () => {
+      expect(logic.evaluateThresholds({ files: [payments, ui], coverageThreshold: 80 })).toBeNull();
+    })
+
+    it('groups files by the first matching rule', () => {
+      const groups = logic.evaluateThresholds({ files: [payments, refunds, ui, other], coverageThreshold: 80, config });
+
+      expect(groups.map(group => [group.rule, group.threshold, group.files.map(file => file.name), group.coveragePercentage, group.passed])).toEqual([
+        ['src/payments/**', 100, ['src/payments/charge.js', 'src/payments/refund.js'], 75, false],
+        ['src/**', 70, ['src/ui/button.js'], 75, true],
+        ['default', 80, ['lib/util.js'], 100, true],
+      ]);
+    })
+
+    it('leaves out rules without files', () => {
+      const groups = logic.evaluateThresholds({ files: [ui], coverageThreshold: 80, config });
+
+      expect(groups.map(group => group.rule)).toEqual(['src/**', 'default']);
+    })
+
+    it('checks every file when the per file policy is on', () => {
+      const groups = logic.evaluateThresholds({
+        files: [payments, ui, new File({ name: 'src/ui/icon.js', changedLines: [1, 2], coverageData: [1, 1] })],
+        coverageThreshold: 80,
+        config: { ...config, thresholds: [{ pattern: 'src/ui/**', threshold: 80 }], perFileThreshold: true },
+      });
+
+      expect(groups[0]).toEqual(expect.objectContaining({ rule: 'src/ui/**', coveragePercentage: expect.closeTo(83.33, 2), passed: false }));
+      expect(groups[0].failedFiles.map(file => file.name)).toEqual(['src/ui/button.js']);
+      expect(groups[1]).toEqual(expect.objectContaining({ rule: 'default', passed: true, failedFiles: [] }));
+    })
+  })
+
+  describe('failures', () => {
+    it('compares overall coverage with the threshold', () => {
+      expect(logic.failures({ coveragePercentage: 80, coverageThreshold: 80 })).toEqual([]);
+      expect(logic.failures({ coveragePercentage: 79.99, coverageThreshold: 80 })).toEqual(['Code coverage (80%) is below the required threshold (80%)']);
+    })
+
+    it('lists failed rules and files', () => {
+      const file = new File({ name: 'src/ui/button.js', changedLines: [1, 2], coverageData: [1, 0] });
+      const groups = [
+        { rule: 'src/payments/**', threshold: 100, coveragePercentage: 90, failedFiles: [] },
+        { rule: 'default', threshold: 80, coveragePercentage: 85, failedFiles: [file] },
+      ];
+
+      expect(logic.failures({ coveragePercentage: 88, coverageThreshold: 80, groups })).toEqual([
+        'Code coverage for src/payments/** (90%) is below the required threshold (100%)',
+        'Code coverage for src/ui/button.js (50%) is below the required threshold for files matching no rule (80%)',
+      ]);
+      expect(logic.passed({ coveragePercentage: 88, coverageThreshold: 80, groups })).toEqual(false);
+    })
+
+    it('checks the decrease in overall coverage', () => {
+      const ratchet = { base: 82, head: 81.2, delta: -0.8, tolerance: 0.5 };
+
+      expect(logic.failures({ coveragePercentage: 100, coverageThreshold: 90, ratchet })).toEqual([
+        'Overall coverage decreased by 0.8% (from 82% to 81.2%), more than the allowed 0.5%',
+      ]);
+      expect(logic.failures({ coveragePercentage: 100, coverageThreshold: 90, ratchet: { ...ratchet, tolerance: 1 } })).toEqual([]);
+      expect(logic.failures({ coveragePercentage: 100, coverageThreshold: 90, ratchet: { ...ratchet, tolerance: null } })).toEqual([]);
+    })
+
+    it('checks the uncovered line budget', () => {
+      const files = [
+        new File({ name: 'src/a.js', changedLines: [1, 2, 3], coverageData: [0, 0, 0] }),
+        new File({ name: 'src/b.js', changedLines: [1, 2], coverageData: [1, 0] }),
+      ];
+
+      expect(logic.failures({ coveragePercentage: 20, coverageThreshold: 0, files, budget: { maxUncoveredLines: 4, maxUncoveredLinesPerFile: 3 } })).toEqual([]);
+      expect(logic.failures({ coveragePercentage: 20, coverageThreshold: 0, files, budget: { maxUncoveredLines: 3, maxUncoveredLinesPerFile: 2 } })).toEqual([
+        '4 changed lines are not covered, more than the maximum of 3',
+        'src/a.js has 3 uncovered changed lines, more than the maximum of 2 per file',
+      ]);
+      expect(logic.failures({ coveragePercentage: 20, coverageThreshold: 50, files, budget: { maxUncoveredLines: 4, maxUncoveredLinesPerFile: null } })).toEqual([
+        'Code coverage (20%) is below the required threshold (50%)',
+      ]);
+    })
+  })
+
+  describe('createCheck', () => {
+    const annotations = Array.from({length: 120}, (_, i) => ({ path: 'src/file1.js', start_line: i + 1, end_line: i + 1 }));
+
+    it('adds annotations in batches of 50', async () => {
+      await logic.createCheck({ github, octokit: mockOctokit, success: false, title: 'title', summary: 'summary', details: 'details', annotations });
+
+      expect(mockOctokit.rest.checks.create).toHaveBeenCalledWith(expect.objectContaining({
+        head_sha: 'head-sha',
+        output: { title: 'title', summary: 'summary', text: 'details', annotations: annotations.slice(0, 50) },
+      }));
+      expect(mockOctokit.rest.checks.update).toHaveBeenCalledTimes(2);
+      expect(mockOctokit.rest.checks.update).toHaveBeenNthCalledWith(1, {
+        owner: 'test-owner',
+        repo: 'test-repo',
+        check_run_id: 456,
+        output: { title: 'title', summary: 'summary', text: 'details', annotations: annotations.slice(50, 100) },
+      });
+      expect(mockOctokit.rest.checks.update).toHaveBeenNthCalledWith(2, expect.objectContaining({
+        output: expect.objectContaining({ annotations: annotations.slice(100) }),
+      }));
+    });
+
+    it('does not update the check when there are few annotations', async () => {
+      await logic.createCheck({ github, octokit: mockOctokit, success: true, title: 'title', summary: 'summary', details: 'details', annotations: [] });
+
+      expect(mockOctokit.rest.checks.create).toHaveBeenCalledWith(expect.objectContaining({
+        output: expect.objectContaining({ annotations: [] }),
+      }));
+      expect(mockOctokit.rest.checks.update).not.toHaveBeenCalled();
+    });
+  })
+
+  describe('report', () => {
+    const annotations = [{ path: 'src/file1.js', start_line: 2, end_line: 4, annotation_level: 'warning', message: 'Lines 2-4 have no coverage' }];
+    const args = { github, success: false, title: 'title', summary: 'summary', details: 'details', annotations };
+
+    it('creates a check', async () => {
+      await logic.report({ ...args, octokit: mockOctokit, reportMode: 'auto' });
+
+      expect(mockOctokit.rest.checks.create).toHaveBeenCalled();
+      expect(core.warning).not.toHaveBeenCalled();
+    });
+
+    it('uses workflow annotations when asked to', async () => {
+      await logic.report({ ...args, octokit: mockOctokit, reportMode: 'annotations' });
+
+      expect(mockOctokit.rest.checks.create).not.toHaveBeenCalled();
+      expect(core.notice).toHaveBeenCalledWith('summary', { title: 'title' });
+      expect(core.warning).toHaveBeenCalledWith('Lines 2-4 have no coverage', {
+        title: 'Code coverage',
+        file: 'src/file1.js',
+        startLine: 2,
+        endLine: 4
+      });
+    });
+
+    it('falls back to workflow annotations when the token is read-only', async () => {
+      mockOctokit.rest.checks.create.mockRejectedValueOnce(Object.assign(new Error('Resource not accessible by integration'), { status: 403 }));
+
+      await logic.report({ ...args, octokit: mockOctokit, reportMode: 'auto' });
+
+      expect(core.notice).toHaveBeenCalledWith('summary', { title: 'title' });
+      expect(core.warning).toHaveBeenCalledWith('Lines 2-4 have no coverage', expect.objectContaining({ file: 'src/file1.js' }));
+    });
+
+    describe('with a job summary file', () => {
+      const originalEnv = process.env.GITHUB_STEP_SUMMARY;
+
+      beforeEach(() => {
+        process.env.GITHUB_STEP_SUMMARY = '/tmp/step-summary.md';
+      });
+
+      afterEach(() => {
+        if (originalEnv === undefined) {
+          delete process.env.GITHUB_STEP_SUMMARY;
+        } else {
+          process.env.GITHUB_STEP_SUMMARY = originalEnv;
+        }
+      });
+
+      it('writes the summary table to the job summary when falling back', async () => {
+        mockOctokit.rest.checks.create.mockRejectedValueOnce(Object.assign(new Error('Resource not accessible by integration'), { status: 403 }));
+
+        await logic.report({ ...args, octokit: mockOctokit, reportMode: 'auto' });
+
+        expect(core.summary.addHeading).toHaveBeenCalledWith('title', 2);
+        expect(core.summary.addRaw).toHaveBeenCalledWith('\ndetails\n', true);
+        expect(core.summary.write).toHaveBeenCalled();
+      });
+
+      it('does not repeat the table when the job summary has it', async () => {
+        await logic.report({ ...args, octokit: mockOctokit, reportMode: 'annotations', jobSummaryWritten: true });
+
+        expect(core.notice).toHaveBeenCalledWith('summary', { title: 'title' });
+        expect(core.summary.write).not.toHaveBeenCalled();
+      });
+    });
+
+    it('does not fall back in check mode', async () => {
+      mockOctokit.rest.checks.create.mockRejectedValueOnce(Object.assign(new Error('Resource not accessible by integration'), { status: 403 }));
+
+      await expect(logic.report({ ...args, octokit: mockOctokit, reportMode: 'check' })).rejects.toThrow('Resource not accessible by integration');
+      expect(core.warning).not.toHaveBeenCalled();
+    });
+
+    it('does not fall back for other errors', async () => {
+      mockOctokit.rest.checks.create.mockRejectedValueOnce(Object.assign(new Error('Server Error'), { status: 500 }));
+
+      await expect(logic.report({ ...args, octokit: mockOctokit, reportMode: 'auto' })).rejects.toThrow('Server Error');
+    });
+  })
+
   it('should process pull request changes and create annotations for specific changed lines', async () => {
     // Mock coverage data
     const coverageData = {
@@ -469,12 +995,625 @@ describe('Coverage Annotator', () => {
       output: expect.objectContaining({
         title: 'Coverage for changed lines: 100%',
         summary: expect.stringContaining('Based on 3 lines changed in 1 file'),
-        text: expect.stringContaining('| README.md | ✓ | 3 | - | - |', '| src/test.js | ✗ | 3 | 0 | 100% |'),
+        text: expect.stringContaining('| README.md | ✓ (not in coverage data) | 3 | - | - |', '| src/test.js | ✗ | 3 | 0 | 100% |'),
         annotations: [],
       }),
     });
   });
 
+  it('should match coverage paths after rewriting them', async () => {
+    mockInputs({ 'path-prefix-strip': '/app/' });
+
+    // Mock coverage data written inside a container
+    const coverageData = {
+      '/app/src/file1.js': [1, 1, 0],
+    };
+    readFileSyncMock.mockReturnValue(JSON.stringify(coverageData));
+
+    mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+      data: [
+        {
+          filename: 'src/file1.js',
+          patch: `@@ -1,3 +1,3 @@
++1
++2
++3`,
+        },
+      ],
+    });
+
+    logic.run()
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(mockOctokit.rest.checks.create).toHaveBeenCalledWith(expect.objectContaining({
+      output: expect.objectContaining({
+        title: 'Coverage for changed lines: 66.7%',
+      }),
+    }));
+    expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('None of the 1 paths in the coverage data were found in the repository, e.g. src/file1.js'));
+  });
+
+  it('should limit the number of annotations', async () => {
+    mockInputs({ 'max-annotations': '1' });
+
+    const coverageData = {
+      'src/file1.js': [0, 1, 0, 1],
+    };
+    readFileSyncMock.mockReturnValue(JSON.stringify(coverageData));
+
+    mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+      data: [
+        {
+          filename: 'src/file1.js',
+          patch: `@@ -1,3 +1,3 @@
++1
++2
++3`,
+        },
+      ],
+    });
+
+    logic.run()
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(mockOctokit.rest.checks.create).toHaveBeenCalledWith(expect.objectContaining({
+      output: expect.objectContaining({
+        summary: expect.stringContaining('1 further annotations were not added as the max-annotations limit was reached.'),
+        annotations: [expect.objectContaining({ start_line: 1, end_line: 1 })],
+      }),
+    }));
+  });
+
+  it('should comment on the pull request', async () => {
+    mockInputs({
+      'annotate': 'false',
+      'pr-comment': 'true',
+    });
+
+    const coverageData = {
+      'src/file1.js': [1, 0, 1],
+    };
+    readFileSyncMock.mockReturnValue(JSON.stringify(coverageData));
+
+    mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+      data: [
+        {
+          filename: 'src/file1.js',
+          patch: `@@ -1,3 +1,3 @@
++1
++2
++3`,
+        },
+      ],
+    });
+
+    logic.run()
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(mockOctokit.rest.checks.create).not.toHaveBeenCalled();
+    expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith({
+      owner: 'test-owner',
+      repo: 'test-repo',
+      issue_number: 123,
+      body: expect.stringContaining('- `src/file1.js`: 2'),
+    });
+  });
+
+  it('should write the job summary', async () => {
+    process.env.GITHUB_STEP_SUMMARY = '/tmp/step-summary.md';
+    mockInputs({ 'annotate': 'false' });
+
+    const coverageData = {
+      'src/file1.js': [1, 0, 1],
+    };
+    readFileSyncMock.mockReturnValue(JSON.stringify(coverageData));
+
+    mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+      data: [
+        {
+          filename: 'src/file1.js',
+          patch: `@@ -1,3 +1,3 @@
++1
++2
++3`,
+        },
+      ],
+    });
+
+    logic.run()
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    delete process.env.GITHUB_STEP_SUMMARY;
+
+    expect(core.summary.addHeading).toHaveBeenCalledWith('Coverage for changed lines: 66.7%', 2);
+    expect(core.summary.addDetails).toHaveBeenCalledWith(
+      'src/file1.js: 1 uncovered changed lines',
+      expect.stringContaining('/test-owner/test-repo/blob/head-sha/src/file1.js#L2')
+    );
+    expect(core.summary.write).toHaveBeenCalled();
+  });
+
+  it('should set outputs', async () => {
+    const coverageData = {
+      'src/file1.js': [1, 0, 1],
+    };
+    readFileSyncMock.mockReturnValue(JSON.stringify(coverageData));
+
+    mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+      data: [
+        {
+          filename: 'src/file1.js',
+          patch: `@@ -1,3 +1,3 @@
++1
++2
++3`,
+        },
+        {
+          filename: 'README.md',
+          patch: `@@ -1 +1 @@
++1`,
+        },
+      ],
+    });
+
+    logic.run()
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(core.setOutput).toHaveBeenCalledWith('coverage-percentage', expect.closeTo(66.67, 2));
+    expect(core.setOutput).toHaveBeenCalledWith('total-lines', 3);
+    expect(core.setOutput).toHaveBeenCalledWith('covered-lines', 2);
+    expect(core.setOutput).toHaveBeenCalledWith('passed', false);
+    expect(core.setOutput).toHaveBeenCalledWith('skipped-files', JSON.stringify([{ name: 'README.md', reason: 'not in coverage data' }]));
+    const report = JSON.parse(core.setOutput.mock.calls.find(call => call[0] === 'report')[1]);
+    expect(report).toEqual(expect.objectContaining({
+      passed: false,
+      coverageThreshold: 80,
+      files: [{ name: 'src/file1.js', changedLines: [1, 2, 3], relevantLines: [1, 2, 3], missedLines: [2], missedRanges: [{ start: 2, end: 2 }], coveragePercent: expect.closeTo(66.67, 2) }],
+    }));
+  });
+
+  it('should write report files', async () => {
+    const writeFileSyncMock = jest.spyOn(fs, 'writeFileSync').mockImplementation();
+    const mkdirSyncMock = jest.spyOn(fs, 'mkdirSync').mockImplementation();
+    mockInputs({
+      'annotate': 'false',
+      'json-report': 'reports/coverage.json',
+      'sarif-report': 'reports/coverage.sarif',
+    });
+
+    const coverageData = {
+      'src/file1.js': [1, 0, 1],
+    };
+    readFileSyncMock.mockReturnValue(JSON.stringify(coverageData));
+
+    mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+      data: [
+        {
+          filename: 'src/file1.js',
+          patch: `@@ -1,3 +1,3 @@
++1
++2
++3`,
+        },
+      ],
+    });
+
+    logic.run()
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(mkdirSyncMock).toHaveBeenCalledWith('reports', { recursive: true });
+    const written = Object.fromEntries(writeFileSyncMock.mock.calls.map(([file, content]) => [file, JSON.parse(content)]));
+    expect(written['reports/coverage.json']).toEqual(expect.objectContaining({
+      totalLines: 3,
+      coveredLines: 2,
+    }));
+    expect(written['reports/coverage.sarif'].runs[0].results).toEqual([
+      expect.objectContaining({ message: { text: 'Line 2 has no coverage' } }),
+    ]);
+
+    writeFileSyncMock.mockRestore();
+    mkdirSyncMock.mockRestore();
+  });
+
+  it('should read changed files from a diff file', async () => {
+    mockInputs({ 'diff-file': 'changes.diff' });
+
+    const coverageData = {
+      'src/file1.js': [1, 0, 1],
+      'src/renamed.js': [1, 1],
+    };
+    const changes = `diff --git a/src/file1.js b/src/file1.js
+index 1111111..2222222 100644
+--- a/src/file1.js
++++ b/src/file1.js
+@@ -1,3 +1,3 @@
++1
++2
++3
+diff --git a/src/old.js b/src/renamed.js
+similarity index 100%
+rename from src/old.js
+rename to src/renamed.js
+`;
+    readFileSyncMock.mockImplementation((path) => path === 'changes.diff' ? changes : JSON.stringify(coverageData));
+
+    logic.run()
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(readFileSyncMock).toHaveBeenCalledWith('changes.diff', 'utf8');
+    expect(mockOctokit.rest.pulls.listFiles).not.toHaveBeenCalled();
+    expect(mockOctokit.rest.repos.compareCommits).not.toHaveBeenCalled();
+    expect(mockOctokit.rest.checks.create).toHaveBeenCalledWith(expect.objectContaining({
+      output: expect.objectContaining({
+        title: 'Coverage for changed lines: 66.7%',
+        text: expect.stringContaining('| src/renamed.js | ✓ (renamed without changes) | 0 | - | - |'),
+      }),
+    }));
+  });
+
+  it('should not call GitHub for changes when reading a diff file', async () => {
+    mockInputs({
+      'annotate': 'false',
+      'diff-file': 'changes.diff',
+    });
+    mockContext.eventName = 'workflow_run';
+    mockContext.payload = { workflow_run: { head_sha: 'run-sha', pull_requests: [], head_repository: { owner: { login: 'fork' } } } };
+
+    readFileSyncMock.mockImplementation((path) => path === 'changes.diff'
+      ? 'diff --git a/src/file1.js b/src/file1.js\n--- a/src/file1.js\n+++ b/src/file1.js\n@@ -1,2 +1,2 @@\n+1\n+2\n'
+      : JSON.stringify({ 'src/file1.js': [1, 1] }));
+
+    logic.run()
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(core.setOutput).toHaveBeenCalledWith('coverage-percentage', 100);
+    const octokitMocks = [mockOctokit.paginate, ...Object.values(mockOctokit.rest).flatMap(Object.values)];
+    octokitMocks.forEach(mock => expect(mock).not.toHaveBeenCalled());
+  });
+
+  it('should ignore lines marked with pragmas', async () => {
+    const coverageData = {
+      'src/file1.js': [1, null, 0, 1],
+      'src/file2.js': [0, 0],
+    };
+    const sources = {
+      'src/file1.js': 'a\n// coverage-enforcer: ignore-next-line\nb\nc\n',
+      'src/file2.js': '// coverage-enforcer: ignore-file\na\n',
+    };
+    readFileSyncMock.mockImplementation((file) => {
+      const source = Object.keys(sources).find(name => file.endsWith(name));
+      return source ? sources[source] : JSON.stringify(coverageData);
+    });
+
+    mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+      data: [
+        {
+          filename: 'src/file1.js',
+          patch: `@@ -1,4 +1,4 @@
++a
++// coverage-enforcer: ignore-next-line
++b
++c`,
+        },
+        {
+          filename: 'src/file2.js',
+          patch: `@@ -1,2 +1,2 @@
++// coverage-enforcer: ignore-file
++a`,
+        },
+      ],
+    });
+
+    logic.run()
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(mockOctokit.rest.checks.create).toHaveBeenCalledWith(expect.objectContaining({
+      conclusion: 'success',
+      output: expect.objectContaining({
+        title: 'Coverage for changed lines: 100%',
+        text: [
+          '| File | Skipped | Changed Lines | Changed Unexecuted Lines | Coverage |',
+          '|------|---------|---------------|--------------------------|----------|',
+          '| src/file1.js | - | 4 | 0 | 100% |',
+          '| src/file2.js | ✓ (ignored by pragma) | 2 | - | - |',
+          '',
+          'Changed lines ignored by pragmas:',
+          '',
+          '- src/file1.js: 3',
+        ].join('\n'),
+      }),
+    }));
+    expect(core.setOutput).toHaveBeenCalledWith('skipped-files', JSON.stringify([{ name: 'src/file2.js', reason: 'ignored by pragma' }]));
+  });
+
+  it('should warn about an ignore-start pragma without an ignore-end', async () => {
+    readFileSyncMock.mockImplementation((file) => file.endsWith('src/file1.js')
+      ? 'a\n// coverage-enforcer: ignore-start\nb\n'
+      : JSON.stringify({ 'src/file1.js': [1, null, 0] }));
+
+    mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+      data: [{ filename: 'src/file1.js', patch: '@@ -1,3 +1,3 @@\n+a\n+// coverage-enforcer: ignore-start\n+b' }],
+    });
+
+    logic.run()
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(core.warning).toHaveBeenCalledWith(
+      'coverage-enforcer: ignore-start on line 2 has no matching ignore-end, so the rest of the file is ignored',
+      { file: 'src/file1.js', startLine: 2 }
+    );
+    expect(core.setFailed).not.toHaveBeenCalled();
+  });
+
+  it('should skip files excluded by the config file', async () => {
+    const existsSyncMock = jest.spyOn(fs, 'existsSync').mockImplementation((file) => file.endsWith('ci/coverage.yml'));
+    mockInputs({ 'config-file': 'ci/coverage.yml' });
+
+    const coverageData = {
+      'src/file1.js': [1, 1],
+      'db/migrations/001.js': [0, 0],
+    };
+    readFileSyncMock.mockImplementation((file) => file.endsWith('ci/coverage.yml')
+      ? 'exclude:\n  - db/migrations/**\n'
+      : JSON.stringify(coverageData));
+
+    mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+      data: [
+        { filename: 'src/file1.js', patch: '@@ -1,2 +1,2 @@\n+a\n+b' },
+        { filename: 'db/migrations/001.js', patch: '@@ -1,2 +1,2 @@\n+a\n+b' },
+      ],
+    });
+
+    logic.run()
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(mockOctokit.rest.checks.create).toHaveBeenCalledWith(expect.objectContaining({
+      output: expect.objectContaining({
+        title: 'Coverage for changed lines: 100%',
+        text: expect.stringContaining('| db/migrations/001.js | ✓ (excluded by config (db/migrations/**)) | 2 | - | - |'),
+      }),
+    }));
+
+    existsSyncMock.mockRestore();
+  });
+
+  it('should check threshold rules from the config file', async () => {
+    const existsSyncMock = jest.spyOn(fs, 'existsSync').mockImplementation((file) => file.endsWith('.coverage-enforcer.yml'));
+    mockInputs({ 'coverage-threshold': '50' });
+
+    const coverageData = {
+      'src/payments/charge.js': [1, 0],
+      'src/ui/button.js': [1, 0],
+    };
+    readFileSyncMock.mockImplementation((file) => file.endsWith('.coverage-enforcer.yml')
+      ? 'thresholds:\n  src/payments/**: 100\n'
+      : JSON.stringify(coverageData));
+
+    mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+      data: [
+        { filename: 'src/payments/charge.js', patch: '@@ -1,2 +1,2 @@\n+a\n+b' },
+        { filename: 'src/ui/button.js', patch: '@@ -1,2 +1,2 @@\n+a\n+b' },
+        { filename: 'README.md', patch: '@@ -1,1 +1,1 @@\n+a' },
+      ],
+    });
+
+    logic.run()
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(mockOctokit.rest.checks.create).toHaveBeenCalledWith(expect.objectContaining({
+      conclusion: 'failure',
+      output: expect.objectContaining({
+        title: 'Coverage for changed lines: 50%',
+        text: [
+          '| File | Skipped | Changed Lines | Changed Unexecuted Lines | Coverage | Rule |',
+          '|------|---------|---------------|--------------------------|----------|------|',
+          '| src/payments/charge.js | - | 2 | 1 | 50% | src/payments/** |',
+          '| src/ui/button.js | - | 2 | 1 | 50% | default |',
+          '| README.md | ✓ (not in coverage data) | 1 | - | - | - |',
+          '',
+          '| Rule | Threshold | Coverage | Result |',
+          '|------|-----------|----------|--------|',
+          '| src/payments/** | 100% | 50% | ✗ failed |',
+          '| default | 50% | 50% | ✓ passed |',
+        ].join('\n'),
+      }),
+    }));
+    expect(core.setFailed).toHaveBeenCalledWith('Code coverage for src/payments/** (50%) is below the required threshold (100%)');
+
+    existsSyncMock.mockRestore();
+  });
+
+  it('should report the uncovered line budget in the title', async () => {
+    mockInputs({
+      'coverage-threshold': '0',
+      'max-uncovered-lines': '1',
+    });
+
+    readFileSyncMock.mockReturnValue(JSON.stringify({ 'src/file1.js': [1, 0, 0] }));
+
+    mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+      data: [{ filename: 'src/file1.js', patch: '@@ -1,3 +1,3 @@\n+1\n+2\n+3' }],
+    });
+
+    logic.run()
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(mockOctokit.rest.checks.create).toHaveBeenCalledWith(expect.objectContaining({
+      conclusion: 'failure',
+      output: expect.objectContaining({
+        title: 'Coverage for changed lines: 33.3%, 2 uncovered lines (max 1)',
+      }),
+    }));
+    expect(core.setFailed).toHaveBeenCalledWith('2 changed lines are not covered, more than the maximum of 1');
+  });
+
+  it('should reject an invalid uncovered line budget', async () => {
+    const consoleErrorMock = jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockInputs({ 'max-uncovered-lines-per-file': 'some' });
+
+    logic.run()
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(core.setFailed).toHaveBeenCalledWith('max-uncovered-lines-per-file must be a whole number');
+    consoleErrorMock.mockRestore();
+  });
+
+  it('should reject an invalid max-annotations', async () => {
+    const consoleErrorMock = jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockInputs({ 'max-annotations': '-5' });
+
+    logic.run()
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(core.setFailed).toHaveBeenCalledWith('max-annotations must be a whole number');
+    expect(mockOctokit.rest.checks.create).not.toHaveBeenCalled();
+    consoleErrorMock.mockRestore();
+  });
+
+  it('should reject an unknown report-mode', async () => {
+    const consoleErrorMock = jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockInputs({ 'report-mode': 'annotation' });
+
+    logic.run()
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(core.setFailed).toHaveBeenCalledWith('report-mode must be one of check, annotations, auto');
+    expect(mockOctokit.rest.checks.create).not.toHaveBeenCalled();
+    consoleErrorMock.mockRestore();
+  });
+
+  it('should reject a negative max-coverage-decrease', async () => {
+    const consoleErrorMock = jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockInputs({ 'max-coverage-decrease': '-1' });
+
+    logic.run()
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(core.setFailed).toHaveBeenCalledWith('max-coverage-decrease must be a non-negative number');
+    consoleErrorMock.mockRestore();
+  });
+
+  it('should treat required files missing from the coverage data as uncovered', async () => {
+    mockInputs({
+      'coverage-threshold': '50',
+      'require-coverage-for': 'src/**',
+    });
+
+    readFileSyncMock.mockReturnValue(JSON.stringify({ 'src/file1.js': [1, 1] }));
+
+    mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+      data: [
+        { filename: 'src/file1.js', patch: '@@ -1,2 +1,2 @@\n+a\n+b' },
+        { filename: 'src/new.js', patch: '@@ -0,0 +1,4 @@\n+a\n+\n+b\n+c' },
+        { filename: 'README.md', patch: '@@ -1,1 +1,1 @@\n+a' },
+      ],
+    });
+
+    logic.run()
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(mockOctokit.rest.checks.create).toHaveBeenCalledWith(expect.objectContaining({
+      conclusion: 'failure',
+      output: expect.objectContaining({
+        title: 'Coverage for changed lines: 40%',
+        summary: 'Based on 5 lines changed in 2 files.',
+        text: [
+          '| File | Skipped | Changed Lines | Changed Unexecuted Lines | Coverage |',
+          '|------|---------|---------------|--------------------------|----------|',
+          '| src/file1.js | - | 2 | 0 | 100% |',
+          '| src/new.js | - | 4 | 3 | 0% (not loaded by test suite) |',
+          '| README.md | ✓ (not in coverage data) | 1 | - | - |',
+        ].join('\n'),
+        annotations: [{
+          path: 'src/new.js',
+          start_line: 1,
+          end_line: 4,
+          annotation_level: 'warning',
+          message: 'File not loaded by test suite',
+        }],
+      }),
+    }));
+    expect(core.setFailed).toHaveBeenCalledWith('Code coverage (40%) is below the required threshold (50%)');
+  });
+
+  it('should compare overall coverage with the base branch', async () => {
+    mockInputs({
+      'coverage-threshold': '50',
+      'base-coverage-file': 'base/coverage.json',
+      'max-coverage-decrease': '5',
+    });
+
+    const coverage = {
+      'coverage.json': { 'src/file1.js': [1, 1, 0], 'src/other.js': [1, 0, 0, 0, 0] },
+      'base/coverage.json': { 'src/file1.js': [1, 0, 0], 'src/other.js': [1, 1, 1, 1, 0] },
+    };
+    readFileSyncMock.mockImplementation((file) => JSON.stringify(coverage[file] || {}));
+
+    mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+      data: [{ filename: 'src/file1.js', patch: '@@ -1,3 +1,3 @@\n+1\n+2' }],
+    });
+
+    logic.run()
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(mockOctokit.rest.checks.create).toHaveBeenCalledWith(expect.objectContaining({
+      conclusion: 'failure',
+      output: expect.objectContaining({
+        title: 'Coverage for changed lines: 100%',
+        summary: 'Based on 2 lines changed in 1 files. Overall coverage is 37.5% (-25% compared to 62.5% on the base branch).',
+      }),
+    }));
+    expect(core.setFailed).toHaveBeenCalledWith('Overall coverage decreased by 25% (from 62.5% to 37.5%), more than the allowed 5%');
+  });
+
+  it('should warn when the base coverage cannot be read', async () => {
+    mockInputs({
+      'coverage-threshold': '50',
+      'base-coverage-file': 'base/*.json',
+    });
+    glob.create.mockResolvedValue({ glob: async () => [] });
+
+    readFileSyncMock.mockReturnValue(JSON.stringify({ 'src/file1.js': [1, 1] }));
+
+    mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+      data: [{ filename: 'src/file1.js', patch: '@@ -1,2 +1,2 @@\n+1\n+2' }],
+    });
+
+    logic.run()
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(core.warning).toHaveBeenCalledWith('Could not read base coverage, so overall coverage has not been compared: No coverage files found matching base/*.json');
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(mockOctokit.rest.checks.create).toHaveBeenCalledWith(expect.objectContaining({
+      conclusion: 'success',
+      output: expect.objectContaining({
+        summary: 'Based on 2 lines changed in 1 files.',
+      }),
+    }));
+  });
+
   it('logs error', async () => {
     jest.spyOn(console, 'error').mockImplementation(() => {});
 
@@ -0,0 +1,60 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const paths = require('../paths')
+
+describe('paths', () => {
+  describe('normalize', () => {
+    const workspace = '/home/runner/work/app/app';
+
+    it('strips the workspace root', () => {
+      expect(paths.normalize('/home/runner/work/app/app/src/x.js', {workspace})).toEqual('src/x.js');
+    })
+    it('cleans up relative paths', () => {
+      expect(paths.normalize('./src/x.js', {workspace})).toEqual('src/x.js');
+      expect(paths.normalize('././src//lib/../x.js', {workspace})).toEqual('src/x.js');
+    })
+    it('strips the first matching prefix', () => {
+      const stripPrefixes = ['/app/', '/build/src', '/build'];
+      expect(paths.normalize('/app/src/x.js', {workspace, stripPrefixes})).toEqual('src/x.js');
+      expect(paths.normalize('/build/src/x.js', {workspace, stripPrefixes})).toEqual('x.js');
+      expect(paths.normalize('/other/src/x.js', {workspace, stripPrefixes})).toEqual('/other/src/x.js');
+    })
+    it('adds a prefix', () => {
+      expect(paths.normalize('src/x.js', {workspace, addPrefix: 'packages/api'})).toEqual('packages/api/src/x.js');
+      expect(paths.normalize('/app/src/x.js', {workspace, stripPrefixes: ['/app'], addPrefix: 'packages/api/'})).toEqual('packages/api/src/x.js');
+    })
+  })
+
+  describe('normalizeCoverage', () => {
+    it('rewrites keys, merging duplicates', () => {
+      const coverageData = {
+        './src/x.js': [1, 0],
+        '/home/runner/work/app/app/src/x.js': [null, 2],
+        'src/y.js': [0],
+      };
+      expect(paths.normalizeCoverage(coverageData, {workspace: '/home/runner/work/app/app'})).toEqual({
+        'src/x.js': [1, 2],
+        'src/y.js': [0],
+      });
+    })
+  })
+
+  describe('unmatchedPaths', () => {
+    let workspace;
+
+    beforeEach(() => {
+      workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'coverage-enforcer-'));
+      fs.mkdirSync(path.join(workspace, 'src'));
+      fs.writeFileSync(path.join(workspace, 'src', 'x.js'), '');
+    })
+
+    afterEach(() => {
+      fs.rmSync(workspace, {recursive: true, force: true});
+    })
+
+    it('lists paths that do not exist in the workspace', () => {
+      expect(paths.unmatchedPaths({'src/x.js': [1], 'lib/x.js': [1]}, workspace)).toEqual(['lib/x.js']);
+    })
+  })
+})
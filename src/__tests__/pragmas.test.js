@@ -0,0 +1,93 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const pragmas = require('../pragmas')
+
+describe('pragmas', () => {
+  describe('parse', () => {
+    it('finds no pragmas in plain source', () => {
+      expect(pragmas.parse('const a = 1;\n')).toEqual({file: false, lines: [], unclosedStart: null});
+      expect(pragmas.parse()).toEqual({file: false, lines: [], unclosedStart: null});
+    })
+
+    it('ignores the next line', () => {
+      const source = [
+        'if (impossible) {',
+        '  // coverage-enforcer: ignore-next-line',
+        '  throw new Error();',
+        '}',
+      ].join('\n');
+      expect(pragmas.parse(source)).toEqual({file: false, lines: [3], unclosedStart: null});
+    })
+
+    it('ignores blocks', () => {
+      const source = [
+        'a',
+        '# coverage-enforcer: ignore-start',
+        'b',
+        'c',
+        '# coverage-enforcer: ignore-end',
+        'd',
+      ].join('\n');
+      expect(pragmas.parse(source)).toEqual({file: false, lines: [2, 3, 4, 5], unclosedStart: null});
+    })
+
+    it('ignores to the end of the file when a block is not closed', () => {
+      expect(pragmas.parse('a\n/* coverage-enforcer: ignore-start */\nb\nc')).toEqual({file: false, lines: [2, 3, 4], unclosedStart: 2});
+    })
+
+    it('does not double count pragmas inside blocks', () => {
+      const source = [
+        '// coverage-enforcer: ignore-start',
+        '// coverage-enforcer: ignore-next-line',
+        'a',
+        '// coverage-enforcer: ignore-end',
+      ].join('\n');
+      expect(pragmas.parse(source)).toEqual({file: false, lines: [1, 2, 3, 4], unclosedStart: null});
+    })
+
+    it('only recognises pragmas that are a whole comment', () => {
+      const source = [
+        '// Pragmas look like `coverage-enforcer: ignore-next-line`',
+        "const example = '// coverage-enforcer: ignore-start';",
+        'a(); // coverage-enforcer: ignore-next-line',
+        '<!-- coverage-enforcer: ignore-file -->',
+        'b',
+        '-- coverage-enforcer: ignore-next-line',
+        'c',
+        '; coverage-enforcer: ignore-next-line',
+        'd',
+        '  /* coverage-enforcer: ignore-next-line */  ',
+        'e',
+        '# coverage-enforcer: ignore-next-line and some prose',
+        'f',
+      ].join('\n');
+      expect(pragmas.parse(source)).toEqual({file: true, lines: [7, 9, 11], unclosedStart: null});
+    })
+
+    it('ignores whole files', () => {
+      expect(pragmas.parse('// coverage-enforcer: ignore-file\na').file).toEqual(true);
+    })
+  })
+
+  describe('read', () => {
+    let workspace;
+
+    beforeEach(() => {
+      workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'coverage-enforcer-'));
+      fs.writeFileSync(path.join(workspace, 'x.js'), '// coverage-enforcer: ignore-next-line\na\n');
+    })
+
+    afterEach(() => {
+      fs.rmSync(workspace, {recursive: true, force: true});
+    })
+
+    it('reads pragmas from the checked out file', () => {
+      expect(pragmas.read('x.js', {workspace})).toEqual({file: false, lines: [2], unclosedStart: null});
+    })
+
+    it('has no pragmas for missing files', () => {
+      expect(pragmas.read('missing.js', {workspace})).toEqual({file: false, lines: [], unclosedStart: null});
+    })
+  })
+})
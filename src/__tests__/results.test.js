@@ -0,0 +1,31 @@
+const results = require('../results')
+const File = require('../file')
+
+describe('results', () => {
+  describe('build', () => {
+    it('describes the results', () => {
+      const files = [
+        new File({ name: 'src/a.js', changedLines: [1, 2, 3], coverageData: [1, 0, null] }),
+        new File({ name: 'src/b.js', changedLines: [2], coverageData: [1, 1] }),
+        new File({ name: 'README.md', changedLines: [1], coverageData: [] }),
+        new File({ name: 'src/moved.js', skipReason: 'renamed without changes', changedLines: [], coverageData: [1] }),
+      ];
+
+      expect(results.build({ files, coveragePercentage: 66.67, coverageThreshold: 80, success: false })).toEqual({
+        coveragePercentage: 66.67,
+        coverageThreshold: 80,
+        passed: false,
+        totalLines: 3,
+        coveredLines: 2,
+        files: [
+          { name: 'src/a.js', changedLines: [1, 2, 3], relevantLines: [1, 2], missedLines: [2], missedRanges: [{ start: 2, end: 2 }], coveragePercent: 50 },
+          { name: 'src/b.js', changedLines: [2], relevantLines: [2], missedLines: [], missedRanges: [], coveragePercent: 100 },
+        ],
+        skippedFiles: [
+          { name: 'README.md', reason: 'not in coverage data' },
+          { name: 'src/moved.js', reason: 'renamed without changes' },
+        ],
+      });
+    })
+  })
+})
@@ -0,0 +1,44 @@
+const sarif = require('../sarif')
+const File = require('../file')
+
+describe('sarif', () => {
+  describe('build', () => {
+    it('creates a result for each uncovered range', () => {
+      const files = [
+        new File({ name: 'src/a.js', changedLines: [1, 2, 3, 4, 5, 6], coverageData: [1, 0, 1, 1, 0, 0, 1] }),
+        new File({ name: 'src/b.js', changedLines: [1], coverageData: [1] }),
+        new File({ name: 'README.md', changedLines: [1], coverageData: [] }),
+      ];
+
+      const log = sarif.build({ files });
+
+      expect(log.version).toEqual('2.1.0');
+      expect(log.runs).toHaveLength(1);
+      expect(log.runs[0].tool.driver.name).toEqual('coverage-enforcer');
+      expect(log.runs[0].tool.driver.rules.map(rule => rule.id)).toEqual(['uncovered-changed-lines']);
+      expect(log.runs[0].results).toEqual([
+        {
+          ruleId: 'uncovered-changed-lines',
+          level: 'warning',
+          message: { text: 'Line 2 has no coverage' },
+          locations: [{
+            physicalLocation: {
+              artifactLocation: { uri: 'src/a.js', uriBaseId: '%SRCROOT%' },
+              region: { startLine: 2, endLine: 2 },
+            },
+          }],
+        },
+        expect.objectContaining({
+          message: { text: 'Lines 5-6 have no coverage' },
+          locations: [expect.objectContaining({
+            physicalLocation: expect.objectContaining({ region: { startLine: 5, endLine: 6 } }),
+          })],
+        }),
+      ]);
+    })
+
+    it('has no results when everything is covered', () => {
+      expect(sarif.build({ files: [] }).runs[0].results).toEqual([]);
+    })
+  })
+})
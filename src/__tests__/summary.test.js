@@ -0,0 +1,83 @@
+const core = require('@actions/core')
+const summary = require('../summary')
+const File = require('../file')
+
+jest.mock('@actions/core');
+
+describe('summary', () => {
+  const context = {
+    serverUrl: 'https://github.com',
+    repo: { owner: 'test-owner', repo: 'test-repo' },
+  };
+  const files = [
+    new File({ name: 'src/a.js', changedLines: [1, 2, 3, 4, 5, 6], coverageData: [1, 0, 1, 1, 0, 0, 1] }),
+    new File({ name: 'src/b.js', changedLines: [1], coverageData: [1] }),
+  ];
+  const originalEnv = process.env.GITHUB_STEP_SUMMARY;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.GITHUB_STEP_SUMMARY = '/tmp/step-summary.md';
+  })
+
+  afterEach(() => {
+    if (originalEnv === undefined) {
+      delete process.env.GITHUB_STEP_SUMMARY;
+    } else {
+      process.env.GITHUB_STEP_SUMMARY = originalEnv;
+    }
+  })
+
+  describe('writeTable', () => {
+    it('writes only the summary table', async () => {
+      await summary.writeTable({ title: 'Coverage: 50%', summary: 'Based on...', details: '| table |' });
+
+      expect(core.summary.addHeading).toHaveBeenCalledWith('Coverage: 50%', 2);
+      expect(core.summary.addRaw).toHaveBeenCalledWith('\n| table |\n', true);
+      expect(core.summary.addDetails).not.toHaveBeenCalled();
+      expect(core.summary.write).toHaveBeenCalled();
+    })
+
+    it('does nothing without a step summary file', async () => {
+      delete process.env.GITHUB_STEP_SUMMARY;
+      await summary.writeTable({ title: 'Coverage: 50%', summary: 'Based on...', details: '| table |' });
+
+      expect(core.summary.write).not.toHaveBeenCalled();
+    })
+  })
+
+  describe('write', () => {
+    it('writes the report to the job summary', async () => {
+      await summary.write({ context, sha: 'head-sha', title: 'Coverage: 50%', summary: 'Based on...', details: '| table |', files });
+
+      expect(core.summary.addHeading).toHaveBeenCalledWith('Coverage: 50%', 2);
+      expect(core.summary.addRaw).toHaveBeenCalledWith('Based on...', true);
+      expect(core.summary.addRaw).toHaveBeenCalledWith('\n| table |\n', true);
+      expect(core.summary.addDetails).toHaveBeenCalledTimes(1);
+      expect(core.summary.addDetails).toHaveBeenCalledWith(
+        'src/a.js: 3 uncovered changed lines',
+        '<ul>' +
+          '<li><a href="https://github.com/test-owner/test-repo/blob/head-sha/src/a.js#L2">Line 2</a></li>' +
+          '<li><a href="https://github.com/test-owner/test-repo/blob/head-sha/src/a.js#L5-L6">Lines 5-6</a></li>' +
+        '</ul>'
+      );
+      expect(core.summary.write).toHaveBeenCalled();
+    })
+
+    it('does nothing outside of GitHub Actions', async () => {
+      delete process.env.GITHUB_STEP_SUMMARY;
+
+      await summary.write({ context, sha: 'head-sha', title: 'title', summary: 'summary', details: 'details', files });
+
+      expect(core.summary.write).not.toHaveBeenCalled();
+    })
+  })
+
+  describe('lineLink', () => {
+    it('escapes paths', () => {
+      const range = { start: 1, end: 1 };
+      expect(summary.lineLink({ serverUrl: 'https://github.com', repo: context.repo, sha: 'abc', path: 'src/my file.js', range }))
+        .toEqual('https://github.com/test-owner/test-repo/blob/abc/src/my%20file.js#L1');
+    })
+  })
+})
@@ -44,6 +44,18 @@ describe('util', () => {
       ]
       expect(util.compactCountsToLineNumbers(input)).toEqual(expected);
     })
+    it('handles range starting on the last count', () => {
+      expect(util.compactCountsToLineNumbers([1, null, 0])).toEqual([
+        {start: 3, end: 3, formatted: '3'},
+      ]);
+      expect(util.compactCountsToLineNumbers([0])).toEqual([
+        {start: 1, end: 1, formatted: '1'},
+      ]);
+      expect(util.compactCountsToLineNumbers([0, 1, 0])).toEqual([
+        {start: 1, end: 1, formatted: '1'},
+        {start: 3, end: 3, formatted: '3'},
+      ]);
+    })
     it('handles excluded counts', () => {
       const input = [0, null, 0, null, -1, -1, 0, null, 1]
       const expected = [
@@ -68,4 +80,28 @@ describe('util', () => {
       expect(util.formatPercent(12.34567, 2)).toEqual("12.35%");
     })
   })
+  describe('addLineCount', () => {
+    it('pads gaps with nulls', () => {
+      expect(util.addLineCount([], 3, 2)).toEqual([null, null, 2]);
+    })
+    it('adds counts for the same line', () => {
+      expect(util.addLineCount([null, 1], 2, 2)).toEqual([null, 3]);
+      expect(util.addLineCount([null, 1], 1, 0)).toEqual([0, 1]);
+    })
+  })
+  describe('formatLineRanges', () => {
+    it('joins consecutive line numbers into ranges', () => {
+      expect(util.formatLineRanges([1, 2, 3, 5, 7, 8])).toEqual('1-3, 5, 7-8');
+      expect(util.formatLineRanges([])).toEqual('');
+    })
+  })
+  describe('chunk', () => {
+    it('splits items into chunks', () => {
+      expect(util.chunk([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+      expect(util.chunk([1, 2], 2)).toEqual([[1, 2]]);
+    })
+    it('handles empty arrays', () => {
+      expect(util.chunk([], 2)).toEqual([]);
+    })
+  })
 })
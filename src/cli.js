@@ -0,0 +1,175 @@
+const core = require('@actions/core');
+const logic = require('./logic');
+const configFile = require('./config');
+const diff = require('./diff');
+const git = require('./git');
+const paths = require('./paths');
+const util = require('./util');
+
+const USAGE = `Usage: coverage-enforcer [options]
+
+Check coverage of the lines changed since diverging from a base ref, using local git.
+
+Options:
+  --coverage <path>           coverage file or glob, may be repeated (default: coverage.json)
+  --format <format>           coverage file format (default: auto)
+  --base <ref>                ref to compare against (default: origin/main)
+  --threshold <percent>       minimum coverage for changed lines (default: 90)
+  --max-uncovered-lines <n>   maximum number of uncovered changed lines
+  --max-uncovered-lines-per-file <n>
+                              maximum number of uncovered changed lines in any one file
+  --source-root <dir>         directory coverage paths are relative to, may be repeated
+  --path-prefix-strip <path>  prefix to strip from coverage paths, may be repeated
+  --path-prefix-add <path>    prefix to add to coverage paths
+  --config <path>             config file (default: .coverage-enforcer.yml)
+  --require-coverage-for <glob>
+                              files that must be in the coverage data, may be repeated
+  -h, --help                  show this help
+`;
+
+const REPEATABLE = {
+  'coverage': 'coverageFiles',
+  'source-root': 'sourceRoots',
+  'path-prefix-strip': 'stripPrefixes',
+  'require-coverage-for': 'requireCoverageFor'
+};
+const SINGLE = {
+  'format': 'format',
+  'base': 'base',
+  'threshold': 'threshold',
+  'path-prefix-add': 'addPrefix',
+  'config': 'configFile',
+  'max-uncovered-lines': 'maxUncoveredLines',
+  'max-uncovered-lines-per-file': 'maxUncoveredLinesPerFile'
+};
+
+function parseArgs(argv) {
+  const options = {coverageFiles: [], sourceRoots: [], stripPrefixes: [], requireCoverageFor: [], format: 'auto', base: 'origin/main', threshold: '90', addPrefix: '', configFile: '', maxUncoveredLines: null, maxUncoveredLinesPerFile: null};
+  for (let i = 0; i < argv.length; i++) {
+    let [name, value] = argv[i].split(/=(.*)/s);
+    if (name === '-h' || name === '--help') return {...options, help: true};
+    name = name.replace(/^--/, '');
+    if (!REPEATABLE[name] && !SINGLE[name]) throw new Error(`Unknown option: ${argv[i]}`);
+    if (value === undefined) {
+      value = argv[++i];
+      if (value === undefined) throw new Error(`Missing value for --${name}`);
+    }
+    if (REPEATABLE[name]) {
+      options[REPEATABLE[name]].push(value);
+    } else {
+      options[SINGLE[name]] = value;
+    }
+  }
+  if (options.coverageFiles.length === 0) options.coverageFiles.push('coverage.json');
+  options.threshold = parseFloat(options.threshold);
+  if (isNaN(options.threshold)) throw new Error('--threshold must be a number');
+  ['max-uncovered-lines', 'max-uncovered-lines-per-file'].forEach(name => {
+    const key = SINGLE[name];
+    if (options[key] === null) return;
+    if (!/^\d+$/.test(options[key])) throw new Error(`--${name} must be a whole number`);
+    options[key] = parseInt(options[key], 10);
+  });
+  return options;
+}
+
+// plain text version of the summary table, with columns padded to line up
+function formatReport({files, title, summary}) {
+  const rows = [['File', 'Changed', 'Missed', 'Coverage']];
+  files.forEach(file => {
+    rows.push(file.skipped
+      ? [file.name, `${file.changedLinesCount}`, '-', `skipped (${file.skipReason})`]
+      : [file.name, `${file.changedLinesCount}`, `${file.relevantMissedLinesCount}`, util.formatPercent(file.coveragePercent)]);
+  });
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  const table = rows.map(row => row.map((cell, column) => {
+    return column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]);
+  }).join('  ').trimEnd());
+
+  const lines = [title, summary, '', ...table];
+  const uncoveredFiles = files.filter(file => !file.skipped && file.relevantMissedLinesCount > 0);
+  if (uncoveredFiles.length > 0) {
+    lines.push('', 'Uncovered changed lines:');
+    uncoveredFiles.forEach(file => {
+      lines.push(`  ${file.name}: ${file.changedUnexecutedLineRanges.map(range => range.formatted).join(', ')}`);
+    });
+  }
+  const ignoredFiles = files.filter(file => !file.skipped && file.ignoredChangedLines.length > 0);
+  if (ignoredFiles.length > 0) {
+    lines.push('', 'Changed lines ignored by pragmas:');
+    ignoredFiles.forEach(file => {
+      lines.push(`  ${file.name}: ${util.formatLineRanges(file.ignoredChangedLines)}`);
+    });
+  }
+  return lines.join('\n') + '\n';
+}
+
+// @actions/core (also used by @actions/glob) writes info lines and workflow commands such as
+// ::warning:: to stdout for the runner to interpret. Locally they would clutter the report, so
+// while running fn, drop everything but warnings and errors, which go to stderr as plain text.
+async function withLocalLogging(stderr, fn) {
+  const names = ['debug', 'info', 'notice', 'warning', 'error'];
+  const original = Object.fromEntries(names.map(name => [name, core[name]]));
+  const log = level => (message, properties = {}) => {
+    const location = [properties.file, properties.startLine].filter(Boolean).join(':');
+    const text = message instanceof Error ? message.message : message;
+    stderr.write(location ? `${level}: ${location}: ${text}\n` : `${level}: ${text}\n`);
+  };
+  Object.assign(core, {debug() {}, info() {}, notice() {}, warning: log('warning'), error: log('error')});
+  try {
+    return await fn();
+  } finally {
+    Object.assign(core, original);
+  }
+}
+
+// Run the check locally, returning the exit code: 0 = passed, 1 = below threshold, 2 = error
+async function main(argv, {cwd = process.cwd(), stdout = process.stdout, stderr = process.stderr} = {}) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    stdout.write(USAGE);
+    return 0;
+  }
+
+  return withLocalLogging(stderr, () => check(options, {cwd, stdout, stderr}));
+}
+
+async function check(options, {cwd, stdout, stderr}) {
+  try {
+    const workspace = git.topLevel({cwd});
+    const config = configFile.load(options.configFile, {workspace});
+    const coverageData = paths.normalizeCoverage(
+      await logic.readAll(options.coverageFiles, {format: options.format, workspace, sourceRoots: options.sourceRoots}),
+      {workspace, stripPrefixes: options.stripPrefixes, addPrefix: options.addPrefix}
+    );
+
+    // compare the working tree, including uncommitted changes, with where HEAD diverged from base
+    const base = git.mergeBase(options.base, 'HEAD', {cwd});
+    const changedFiles = diff.parseDiff(git.diff({base, cwd: workspace})).filter(file => file.status !== 'removed');
+
+    const files = logic.mapToFiles({coverageData, changedFiles, workspace, config, requireCoverageFor: options.requireCoverageFor});
+    const relevantFiles = files.filter(file => !file.skipped);
+    const coveragePercentage = logic.calculateCoverage(relevantFiles);
+    const budget = {maxUncoveredLines: options.maxUncoveredLines, maxUncoveredLinesPerFile: options.maxUncoveredLinesPerFile};
+    const {title, summary} = logic.summarize({files, relevantFiles, coveragePercentage, budget});
+    stdout.write(formatReport({files, title, summary}));
+
+    const groups = logic.evaluateThresholds({files: relevantFiles, coverageThreshold: options.threshold, config});
+    const failures = logic.failures({coveragePercentage, coverageThreshold: options.threshold, groups, files: relevantFiles, budget});
+    if (failures.length > 0) {
+      stderr.write(`\n${failures.join('\n')}\n`);
+      return 1;
+    }
+    return 0;
+  } catch (error) {
+    stderr.write(`${error.message}\n`);
+    return 2;
+  }
+}
+
+module.exports = {parseArgs, formatReport, main};
@@ -0,0 +1,47 @@
+// Hidden marker used to find our comment again on later runs
+const MARKER = '<!-- coverage-enforcer -->';
+
+// Markdown body for the pull request comment: the summary table, plus the uncovered line ranges
+// of each file
+function format({title, summary, details, files}) {
+  const body = [MARKER, `### ${title}`, summary, details];
+  const uncoveredFiles = files.filter(file => !file.skipped && file.relevantMissedLinesCount > 0);
+  if (uncoveredFiles.length > 0) {
+    body.push('**Uncovered changed lines**');
+    body.push(uncoveredFiles.map(file => {
+      const ranges = file.changedUnexecutedLineRanges.map(range => range.formatted).join(', ');
+      return `- \`${file.name}\`: ${ranges}`;
+    }).join('\n'));
+  }
+  return body.join('\n\n');
+}
+
+async function find({context, octokit, pullNumber}) {
+  const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    issue_number: pullNumber,
+    per_page: 100
+  });
+  return comments.find(comment => comment.body && comment.body.includes(MARKER));
+}
+
+// Create or update the coverage comment on a pull request. Once coverage has recovered the
+// comment is no longer needed, so any previous comment is deleted instead.
+async function upsert({context, octokit, pullNumber, body, recovered}) {
+  const existing = await find({context, octokit, pullNumber});
+  const repo = {owner: context.repo.owner, repo: context.repo.repo};
+
+  if (recovered) {
+    if (existing) await octokit.rest.issues.deleteComment({...repo, comment_id: existing.id});
+    return;
+  }
+
+  if (existing) {
+    await octokit.rest.issues.updateComment({...repo, comment_id: existing.id, body});
+  } else {
+    await octokit.rest.issues.createComment({...repo, issue_number: pullNumber, body});
+  }
+}
+
+module.exports = {MARKER, format, find, upsert};
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const minimatch = require('minimatch');
+
+const DEFAULT_PATH = '.coverage-enforcer.yml';
+
+// Options for matching changed files against globs. Patterns without a slash match the file name
+// at any depth, so `*.generated.ts` matches `src/api/client.generated.ts`.
+const MATCH_OPTIONS = {dot: true, matchBase: true};
+
+function defaults() {
+  return {include: [], exclude: [], thresholds: [], perFileThreshold: false};
+}
+
+// a list of globs may be given as a single string or an array of strings
+function globs(config, key) {
+  const value = config[key];
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  if (!list.every(item => typeof item === 'string')) {
+    throw new Error(`Invalid configuration: ${key} must be a glob or list of globs`);
+  }
+  return list;
+}
+
+// threshold rules are a mapping of glob to percentage, kept in the order they were written
+function thresholds(config) {
+  const value = config.thresholds;
+  if (value === undefined || value === null) return [];
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Invalid configuration: thresholds must be a mapping of glob to percentage');
+  }
+  return Object.keys(value).map(pattern => {
+    const threshold = value[pattern];
+    if (typeof threshold !== 'number' || threshold < 0 || threshold > 100) {
+      throw new Error(`Invalid configuration: threshold for ${pattern} must be a percentage`);
+    }
+    return {pattern, threshold};
+  });
+}
+
+// Parse the YAML content of a config file
+function parse(content) {
+  const config = yaml.load(content) || {};
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('Invalid configuration: expected a mapping of options');
+  }
+  return {
+    include: globs(config, 'include'),
+    exclude: globs(config, 'exclude'),
+    thresholds: thresholds(config),
+    perFileThreshold: config['per-file-threshold'] === true
+  };
+}
+
+// Load the config file from the workspace. The default config file is optional, but a config
+// file that was asked for explicitly must exist.
+function load(file, {workspace} = {}) {
+  const fullPath = path.resolve(workspace || '', file || DEFAULT_PATH);
+  if (!fs.existsSync(fullPath)) {
+    if (file && file !== DEFAULT_PATH) throw new Error(`Config file not found: ${file}`);
+    return defaults();
+  }
+  return parse(fs.readFileSync(fullPath, 'utf8'));
+}
+
+// the first pattern that matches a file name, if any
+function matches(name, patterns) {
+  return patterns.find(pattern => minimatch(name, pattern, MATCH_OPTIONS));
+}
+
+// Why a changed file should be skipped according to the config, or null if it should be checked
+function skipReason(name, config) {
+  if (config.include.length > 0 && !matches(name, config.include)) return 'not included by config';
+  const pattern = matches(name, config.exclude);
+  return pattern ? `excluded by config (${pattern})` : null;
+}
+
+module.exports = {DEFAULT_PATH, defaults, parse, load, matches, skipReason};
@@ -0,0 +1,165 @@
+// Split a multi-file unified diff (as produced by `git diff` or GitHub's .diff media type) into
+// entries shaped like the files GitHub returns when listing pull request files:
+//
+//   { filename, previous_filename, status, additions, deletions, changes, patch }
+function parseDiff(text) {
+  const files = [];
+  let file = null;
+  let patch = [];
+  let oldRemaining = 0;
+  let newRemaining = 0;
+
+  const finish = () => {
+    if (!file) return;
+    while (patch.length > 0 && patch[patch.length - 1] === '') patch.pop();
+    file.additions = patch.filter(line => line.startsWith('+')).length;
+    file.deletions = patch.filter(line => line.startsWith('-')).length;
+    file.changes = file.additions + file.deletions;
+    if (patch.length > 0) file.patch = patch.join('\n');
+    files.push(file);
+  };
+
+  for (const line of text.split(/\r?\n/)) {
+    if (line.startsWith('diff --git ')) {
+      finish();
+      file = {filename: headerFilename(line), status: 'modified'};
+      patch = [];
+      oldRemaining = 0;
+      newRemaining = 0;
+    } else if (!file) {
+      continue;
+    } else if (oldRemaining > 0 || newRemaining > 0) {
+      // hunk lines always start with a space, +, - or \, so can't be mistaken for headers
+      patch.push(line);
+      const [oldUsed, newUsed] = linesUsed(line);
+      oldRemaining -= oldUsed;
+      newRemaining -= newUsed;
+    } else if (line.startsWith('@@')) {
+      const hunk = parseHunkHeader(line);
+      patch.push(line);
+      if (hunk) {
+        oldRemaining = hunk.oldLines;
+        newRemaining = hunk.newLines;
+      }
+    } else if (patch.length > 0) {
+      // after a hunk only another hunk or the next file can follow, so anything else (e.g. the
+      // signature `git format-patch` ends with) isn't part of the patch
+      if (line.startsWith('\\')) patch.push(line); // "\ No newline at end of file"
+    } else if (line.startsWith('new file mode')) {
+      file.status = 'added';
+    } else if (line.startsWith('deleted file mode')) {
+      file.status = 'removed';
+    } else if (line.startsWith('rename from ')) {
+      file.previous_filename = unquote(line.slice('rename from '.length));
+      file.status = 'renamed';
+    } else if (line.startsWith('rename to ')) {
+      file.filename = unquote(line.slice('rename to '.length));
+    } else if (line.startsWith('+++ ') && !line.startsWith('+++ /dev/null')) {
+      file.filename = stripPrefix(unquote(line.slice(4).replace(/\t.*$/, '')));
+    } else if (line.startsWith('--- ') && file.status === 'removed' && !line.startsWith('--- /dev/null')) {
+      file.filename = stripPrefix(unquote(line.slice(4).replace(/\t.*$/, '')));
+    }
+  }
+  finish();
+
+  return files;
+}
+
+// git quotes paths containing unusual characters, e.g. "a/foo\tbar.js"
+function unquote(name) {
+  if (!name.startsWith('"')) return name;
+  return JSON.parse(name);
+}
+
+function stripPrefix(name) {
+  return name.replace(/^[ab]\//, '');
+}
+
+// best guess at the file name from `diff --git a/foo.js b/foo.js`, used when there are no ---/+++
+// lines (e.g. mode changes or pure renames)
+function headerFilename(line) {
+  const header = line.slice('diff --git '.length);
+  const quoted = header.match(/ ("b\/.*")$/);
+  if (quoted) return stripPrefix(unquote(quoted[1]));
+  const index = header.lastIndexOf(' b/');
+  return index === -1 ? header : header.slice(index + 3);
+}
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+
+// Parse a hunk header line, or return null if the line isn't one. Omitted counts (`@@ -3 +3 @@`)
+// default to 1.
+function parseHunkHeader(line) {
+  const header = line.match(HUNK_HEADER);
+  if (!header) return null;
+  return {
+    oldStart: parseInt(header[1], 10),
+    oldLines: header[2] === undefined ? 1 : parseInt(header[2], 10),
+    newStart: parseInt(header[3], 10),
+    newLines: header[4] === undefined ? 1 : parseInt(header[4], 10),
+    context: header[5]
+  };
+}
+
+// How many of a hunk's [old, new] lines a line inside it uses up
+function linesUsed(line) {
+  if (line.startsWith('+')) return [0, 1];
+  if (line.startsWith('-')) return [1, 0];
+  // context line. Some tools strip the leading space from blank context lines
+  if (line.startsWith(' ') || line === '') return [1, 1];
+  return [0, 0]; // "\ No newline at end of file"
+}
+
+// Parse the hunks of a single file's unified diff, as GitHub returns in `patch`. Returns the hunk
+// headers, along with the added lines (numbered in the new file) and removed lines (numbered in
+// the old file):
+//
+//   {
+//     hunks: [{ oldStart, oldLines, newStart, newLines, context }],
+//     added: [{ lineNumber, content }],
+//     removed: [{ lineNumber, content }]
+//   }
+//
+// Zero-length hunks (`@@ -0,0 +1,2 @@`) are numbered from the line they follow.
+function parsePatch(patch) {
+  const result = {hunks: [], added: [], removed: []};
+  if (!patch) return result;
+
+  let oldLine = 0;
+  let newLine = 0;
+  let oldRemaining = 0;
+  let newRemaining = 0;
+
+  for (const line of patch.split(/\r?\n/)) {
+    const hunk = parseHunkHeader(line);
+    if (hunk) {
+      result.hunks.push(hunk);
+      // a zero-length side starts at the line *before* the change
+      oldLine = hunk.oldLines === 0 ? hunk.oldStart + 1 : hunk.oldStart;
+      newLine = hunk.newLines === 0 ? hunk.newStart + 1 : hunk.newStart;
+      oldRemaining = hunk.oldLines;
+      newRemaining = hunk.newLines;
+      continue;
+    }
+
+    // once a hunk's counts are used up, only another hunk can add or remove lines. Anything else
+    // is the next file's headers or trailing text, e.g. the signature `git format-patch` ends with
+    if (oldRemaining <= 0 && newRemaining <= 0) continue;
+
+    if (line.startsWith('+')) {
+      result.added.push({lineNumber: newLine++, content: line.slice(1)});
+    } else if (line.startsWith('-')) {
+      result.removed.push({lineNumber: oldLine++, content: line.slice(1)});
+    } else if (line.startsWith(' ') || line === '') {
+      oldLine++;
+      newLine++;
+    }
+    const [oldUsed, newUsed] = linesUsed(line);
+    oldRemaining -= oldUsed;
+    newRemaining -= newUsed;
+  }
+
+  return result;
+}
+
+module.exports = {parseDiff, parsePatch};
@@ -1,11 +1,19 @@
 const util = require('./util')
 
 class File {
-  constructor({name, skipped, changedLines, coverageData}) {
+  constructor({name, skipped, skipReason, changedLines, coverageData, ignoredLines, notLoaded}) {
     this.name = name;
+    this.notLoaded = Boolean(notLoaded); // required to have coverage, but never loaded by the test suite
     this.changedLines = changedLines;
-    this.coverageData = coverageData || []; // array of executable counts, index = 0 -> line 1
-    this.skipped = skipped || this.coverageData.length == 0;
+    this.ignoredLines = ignoredLines || []; // line numbers excluded by pragmas
+    // array of executable counts, index = 0 -> line 1. Ignored lines are treated as not executable
+    this.coverageData = (coverageData || []).map((count, index) =>
+      this.ignoredLines.includes(index + 1) ? null : count
+    );
+    this.skipped = Boolean(skipped || skipReason) || this.coverageData.length == 0;
+    this.skipReason = this.skipped
+      ? skipReason || (this.coverageData.length == 0 ? 'not in coverage data' : 'skipped')
+      : null;
   }
 
   get changedLinesCount() {
@@ -13,7 +21,7 @@ class File {
   }
 
   get partOfTestSuite() {
-    return this.coverageData.length > 0;
+    return !this.notLoaded && this.coverageData.length > 0;
   }
 
   get lineCount() {
@@ -107,6 +115,11 @@ class File {
     return this.changedLines.filter(lineNumber => !this.executedLines.includes(lineNumber));
   }
 
+  // changed lines that were excluded by pragmas
+  get ignoredChangedLines() {
+    return this.changedLines.filter(lineNumber => this.ignoredLines.includes(lineNumber));
+  }
+
   // see note about about spanning nulls
   get changedUnexecutedLineRanges() {
     return util.compactCountsToLineNumbers(this.changedLinesCoverageData);
@@ -128,6 +141,15 @@ class File {
   get annotations() {
     if (this.relevantMissedLinesCount == 0) return [];
 
+    if (this.notLoaded)
+      return [{
+        path: this.name,
+        start_line: 1,
+        end_line: this.lineCount,
+        annotation_level: 'warning',
+        message: 'File not loaded by test suite'
+      }];
+
     if (this.wholeFileUnexecuted)
       return [{
         path: this.name,
@@ -0,0 +1,65 @@
+const cobertura = require('../cobertura')
+
+const report = `<?xml version="1.0" ?>
+<!DOCTYPE coverage SYSTEM "http://cobertura.sourceforge.net/xml/coverage-04.dtd">
+<coverage version="7.4.0" line-rate="0.75">
+  <sources>
+    <source>/home/runner/work/app/app/src</source>
+  </sources>
+  <packages>
+    <package name="app" line-rate="0.75">
+      <classes>
+        <class name="models.py" filename="app/models.py" line-rate="0.75">
+          <methods>
+            <method name="save" signature="">
+              <lines><line number="2" hits="1"/></lines>
+            </method>
+          </methods>
+          <lines>
+            <line number="1" hits="1"/>
+            <line number="2" hits="1"/>
+            <line number="4" hits="0" branch="true" condition-coverage="50% (1/2)"/>
+            <line number="5" hits="3"/>
+          </lines>
+        </class>
+        <class name="models.py$Inner" filename="app/models.py">
+          <lines><line number="7" hits="0"/></lines>
+        </class>
+      </classes>
+    </package>
+  </packages>
+</coverage>`
+
+describe('cobertura', () => {
+  it('detects cobertura reports', () => {
+    expect(cobertura.detect(report)).toEqual(true);
+    expect(cobertura.detect('<report name="x"></report>')).toEqual(false);
+    expect(cobertura.detect('<coverage version="7.4"><packages/></coverage>')).toEqual(true);
+  })
+
+  it('does not mistake clover reports for cobertura', () => {
+    expect(cobertura.detect(`<?xml version="1.0" encoding="UTF-8"?>
+<coverage generated="1700000000000" clover="3.2.0">
+  <project timestamp="1700000000000" name="All files">
+    <file name="foo.js" path="/app/src/foo.js"><line num="1" count="1" type="stmt"/></file>
+  </project>
+</coverage>`)).toEqual(false);
+    expect(cobertura.detect('<coverage generated="1"><project><file name="foo.js"></file></project></coverage>')).toEqual(false);
+  })
+
+  it('converts class lines into line counts relative to the workspace', () => {
+    expect(cobertura.parse(report, {workspace: '/home/runner/work/app/app'})).toEqual({
+      'src/app/models.py': [1, 1, null, 0, 3, null, 0],
+    });
+  })
+
+  it('handles reports without sources', () => {
+    const content = '<coverage><packages><package><classes><class filename="lib/x.js"><lines><line number="1" hits="2"/></lines></class></classes></package></packages></coverage>';
+    expect(cobertura.parse(content, {workspace: '/tmp'})).toEqual({'lib/x.js': [2]});
+  })
+
+  it('uses additional source roots', () => {
+    const content = '<coverage><packages><package><classes><class filename="x.js"><lines><line number="1" hits="2"/></lines></class></classes></package></packages></coverage>';
+    expect(cobertura.parse(content, {workspace: '/tmp', sourceRoots: ['lib']})).toEqual({'lib/x.js': [2]});
+  })
+})
@@ -0,0 +1,52 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const go = require('../go')
+
+const profile = `mode: count
+github.com/org/repo/pkg/foo.go:3.20,5.2 2 4
+github.com/org/repo/pkg/foo.go:5.2,7.3 1 0
+github.com/org/repo/pkg/foo.go:9.1,9.10 0 0
+github.com/org/repo/pkg/foo.go:10.1,10.10 1 0
+github.com/org/repo/main.go:1.1,2.2 1 1
+`
+
+describe('go', () => {
+  let workspace;
+
+  beforeEach(() => {
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'coverage-enforcer-'));
+  })
+
+  afterEach(() => {
+    fs.rmSync(workspace, {recursive: true, force: true});
+  })
+
+  it('detects coverprofiles', () => {
+    expect(go.detect('mode: set\nfoo.go:1.1,2.2 1 1')).toEqual(true);
+    expect(go.detect('mode: atomic\r\n')).toEqual(true);
+    expect(go.detect('TN:\nmode: set')).toEqual(false);
+  })
+
+  it('converts blocks into line counts, stripping the module path from go.mod', () => {
+    fs.writeFileSync(path.join(workspace, 'go.mod'), 'module github.com/org/repo\n\ngo 1.22\n');
+    expect(go.parse(profile, {workspace})).toEqual({
+      'pkg/foo.go': [null, null, 4, 4, 4, 0, 0, null, null, 0],
+      'main.go': [1, 1],
+    });
+  })
+
+  it('finds nested modules by looking for files in the workspace', () => {
+    fs.mkdirSync(path.join(workspace, 'service', 'pkg'), {recursive: true});
+    fs.writeFileSync(path.join(workspace, 'service', 'pkg', 'bar.go'), '');
+    expect(go.parse('mode: set\ngithub.com/org/repo/service/pkg/bar.go:1.1,1.5 1 1\n', {workspace})).toEqual({
+      'service/pkg/bar.go': [1],
+    });
+  })
+
+  it('leaves unknown paths alone', () => {
+    expect(go.parse('mode: set\nexample.com/x/y.go:2.1,2.5 1 1\n', {workspace})).toEqual({
+      'example.com/x/y.go': [null, 1],
+    });
+  })
+})
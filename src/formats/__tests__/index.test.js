@@ -0,0 +1,57 @@
+const formats = require('../index')
+
+describe('formats', () => {
+  describe('detect', () => {
+    it('detects native JSON', () => {
+      expect(formats.detect('{"foo.js": [null, 1, 0]}')).toEqual('json');
+    })
+    it('detects LCOV', () => {
+      expect(formats.detect('TN:\nSF:foo.js\nDA:1,1\nend_of_record\n')).toEqual('lcov');
+      expect(formats.detect('SF:foo.js\nDA:1,1\nend_of_record\n')).toEqual('lcov');
+    })
+    it('detects Cobertura and JaCoCo XML', () => {
+      expect(formats.detect('<?xml version="1.0" ?>\n<coverage version="7.4"><packages></packages></coverage>')).toEqual('cobertura');
+      expect(formats.detect('<?xml version="1.0"?><!DOCTYPE report><report name="x"></report>')).toEqual('jacoco');
+    })
+    it('detects Istanbul JSON', () => {
+      expect(formats.detect('{"/src/foo.js": {"path": "/src/foo.js", "statementMap": {}, "s": {}}}')).toEqual('istanbul');
+    })
+    it('detects Go coverprofiles and SimpleCov resultsets', () => {
+      expect(formats.detect('mode: set\npkg/foo.go:1.1,2.2 1 1\n')).toEqual('go');
+      expect(formats.detect('{"RSpec": {"coverage": {}, "timestamp": 1}}')).toEqual('simplecov');
+    })
+    it('throws on unknown formats', () => {
+      expect(() => formats.detect('hello world')).toThrow('Unable to detect coverage format');
+      expect(() => formats.detect('<?xml version="1.0"?>\n<coverage generated="1" clover="3.2.0"><project></project></coverage>')).toThrow('Unable to detect coverage format');
+    })
+  })
+
+  describe('parse', () => {
+    it('auto-detects the format', () => {
+      expect(formats.parse('SF:foo.js\nDA:2,1\nend_of_record\n')).toEqual({'foo.js': [null, 1]});
+    })
+    it('uses an explicit format', () => {
+      expect(formats.parse('{"foo.js": [null, 1]}', {format: 'json'})).toEqual({'foo.js': [null, 1]});
+    })
+    it('throws on unsupported formats', () => {
+      expect(() => formats.parse('', {format: 'clover'})).toThrow('Unsupported coverage format: clover');
+    })
+  })
+  describe('merge', () => {
+    it('adds counts together', () => {
+      expect(formats.merge([{'foo.js': [1, 0, null]}, {'foo.js': [2, 0, null]}])).toEqual({'foo.js': [3, 0, null]});
+    })
+    it('prefers counts over nulls', () => {
+      expect(formats.merge([{'foo.js': [null, 0, 1]}, {'foo.js': [0, null, null]}])).toEqual({'foo.js': [0, 0, 1]});
+    })
+    it('handles different lengths and files', () => {
+      expect(formats.merge([{'foo.js': [1]}, {'foo.js': [null, null, 1], 'bar.js': [0]}])).toEqual({
+        'foo.js': [1, null, 1],
+        'bar.js': [0],
+      });
+    })
+    it('handles no files', () => {
+      expect(formats.merge([])).toEqual({});
+    })
+  })
+})
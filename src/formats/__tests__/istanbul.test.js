@@ -0,0 +1,121 @@
+const istanbul = require('../istanbul')
+const File = require('../../file')
+
+const location = (startLine, endLine) => ({
+  start: {line: startLine, column: 0},
+  end: {line: endLine, column: 10},
+})
+
+const report = {
+  '/home/runner/work/app/app/src/foo.js': {
+    path: '/home/runner/work/app/app/src/foo.js',
+    statementMap: {
+      0: location(1, 1),
+      1: location(3, 6), // wrapped function call, never executed
+      2: location(8, 12), // covered call with an uncovered callback
+      3: location(10, 10),
+      4: location(14, 14), // two statements on one line, only one of which ran
+      5: location(14, 14),
+    },
+    fnMap: {},
+    branchMap: {},
+    s: {0: 1, 1: 0, 2: 2, 3: 0, 4: 1, 5: 0},
+    f: {},
+    b: {},
+  },
+}
+
+describe('istanbul', () => {
+  it('detects istanbul reports', () => {
+    expect(istanbul.detect(JSON.stringify(report), report)).toEqual(true);
+    expect(istanbul.detect('{"foo.js": [1]}', {'foo.js': [1]})).toEqual(false);
+    expect(istanbul.detect('{}', {})).toEqual(false);
+  })
+
+  it('spreads statement counts over every line they span', () => {
+    const coverage = istanbul.parse(JSON.stringify(report), {workspace: '/home/runner/work/app/app'});
+    expect(coverage).toEqual({
+      'src/foo.js': [1, null, 0, 0, 0, 0, null, 2, 2, 0, 2, 2, null, 1],
+    });
+  })
+
+  it('annotates the whole of an uncovered statement', () => {
+    const coverage = istanbul.parse(JSON.stringify(report), {workspace: '/home/runner/work/app/app'});
+    const file = new File({name: 'src/foo.js', changedLines: [3, 4, 5, 6], coverageData: coverage['src/foo.js']});
+    expect(file.annotations).toEqual([
+      expect.objectContaining({start_line: 3, end_line: 6, message: 'Lines 3-6 have no coverage'}),
+    ]);
+  })
+
+  it('leaves blank and comment lines in an uncalled function unexecutable', () => {
+    // const handler = async (event) => {
+    //   // comment
+    //
+    //   const value = event.a +
+    //     event.b;
+    //   return value;
+    // };
+    // module.exports = handler;
+    const content = {
+      'src/handler.js': {
+        statementMap: {
+          0: {start: {line: 1, column: 16}, end: {line: 7, column: 1}},
+          1: {start: {line: 4, column: 16}, end: {line: 5, column: 11}},
+          2: {start: {line: 6, column: 2}, end: {line: 6, column: 15}},
+          3: {start: {line: 8, column: 0}, end: {line: 8, column: 25}},
+        },
+        fnMap: {
+          0: {
+            name: '(anonymous_0)',
+            decl: {start: {line: 1, column: 16}, end: {line: 1, column: 17}},
+            loc: {start: {line: 1, column: 33}, end: {line: 7, column: 1}},
+            line: 1,
+          },
+        },
+        s: {0: 1, 1: 0, 2: 0, 3: 1},
+        f: {0: 0},
+      },
+    };
+    expect(istanbul.parse(JSON.stringify(content))).toEqual({'src/handler.js': [1, null, null, 0, 0, 0, null, 1]});
+  })
+
+  it('gives the body of an expression arrow function its own count', () => {
+    // const double = (x) =>
+    //   x *
+    //   2;
+    const content = {
+      'src/double.js': {
+        statementMap: {
+          0: {start: {line: 1, column: 15}, end: {line: 3, column: 3}},
+          1: {start: {line: 2, column: 2}, end: {line: 3, column: 3}},
+        },
+        fnMap: {
+          0: {loc: {start: {line: 2, column: 2}, end: {line: 3, column: 3}}},
+        },
+        s: {0: 1, 1: 0},
+      },
+    };
+    expect(istanbul.parse(JSON.stringify(content))).toEqual({'src/double.js': [1, 0, 0]});
+  })
+
+  it('counts a one line guard as run when its condition runs', () => {
+    // if (!x) return;
+    // go();
+    const content = {
+      'src/guard.js': {
+        statementMap: {
+          0: {start: {line: 1, column: 0}, end: {line: 1, column: 16}},
+          1: {start: {line: 1, column: 9}, end: {line: 1, column: 16}},
+          2: {start: {line: 2, column: 0}, end: {line: 2, column: 5}},
+        },
+        s: {0: 22, 1: 0, 2: 22},
+      },
+    };
+    expect(istanbul.parse(JSON.stringify(content))).toEqual({'src/guard.js': [22, 22]});
+  })
+
+  it('falls back to the key when there is no path', () => {
+    const content = {'src/bar.js': {statementMap: {0: location(2, 2)}, s: {0: 4}}};
+    expect(istanbul.parse(JSON.stringify(content))).toEqual({'src/bar.js': [null, 4]});
+  })
+})
@@ -0,0 +1,39 @@
+const jacoco = require('../jacoco')
+
+const report = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<!DOCTYPE report PUBLIC "-//JACOCO//DTD Report 1.1//EN" "report.dtd">
+<report name="app">
+  <sessioninfo id="x" start="1" dump="2"/>
+  <package name="com/example">
+    <class name="com/example/Foo" sourcefilename="Foo.java">
+      <method name="bar" desc="()V" line="3"><counter type="LINE" missed="0" covered="1"/></method>
+    </class>
+    <sourcefile name="Foo.java">
+      <line nr="3" mi="0" ci="2" mb="0" cb="0"/>
+      <line nr="4" mi="3" ci="0" mb="0" cb="0"/>
+      <line nr="6" mi="1" ci="1" mb="1" cb="1"/>
+      <line nr="7" mi="0" ci="0" mb="0" cb="0"/>
+      <counter type="LINE" missed="1" covered="2"/>
+    </sourcefile>
+  </package>
+  <counter type="LINE" missed="1" covered="2"/>
+</report>`
+
+describe('jacoco', () => {
+  it('detects jacoco reports', () => {
+    expect(jacoco.detect(report)).toEqual(true);
+    expect(jacoco.detect('<coverage></coverage>')).toEqual(false);
+  })
+
+  it('converts sourcefile lines into line counts', () => {
+    expect(jacoco.parse(report, {workspace: '/nonexistent'})).toEqual({
+      'src/main/java/com/example/Foo.java': [null, null, 2, 0, null, 1],
+    });
+  })
+
+  it('uses the given source roots', () => {
+    expect(Object.keys(jacoco.parse(report, {workspace: '/nonexistent', sourceRoots: ['service/src/main/java']}))).toEqual([
+      'service/src/main/java/com/example/Foo.java',
+    ]);
+  })
+})
@@ -0,0 +1,39 @@
+const lcov = require('../lcov')
+
+describe('lcov', () => {
+  it('converts DA records into line counts', () => {
+    const content = [
+      'TN:',
+      'SF:src/file1.js',
+      'FN:1,foo',
+      'FNDA:1,foo',
+      'DA:1,1',
+      'DA:2,0',
+      'DA:4,3',
+      'LF:3',
+      'LH:2',
+      'end_of_record',
+      'SF:src/file2.js',
+      'DA:3,0,c2a3f1',
+      'end_of_record',
+    ].join('\n');
+
+    expect(lcov.parse(content)).toEqual({
+      'src/file1.js': [1, 0, null, 3],
+      'src/file2.js': [null, null, 0],
+    });
+  })
+
+  it('combines repeated records for the same file', () => {
+    const content = 'SF:foo.js\nDA:1,1\nDA:2,0\nend_of_record\nSF:foo.js\nDA:2,2\nend_of_record\n';
+    expect(lcov.parse(content)).toEqual({'foo.js': [1, 2]});
+  })
+
+  it('handles CRLF line endings', () => {
+    expect(lcov.parse('SF:foo.js\r\nDA:1,1\r\nend_of_record\r\n')).toEqual({'foo.js': [1]});
+  })
+
+  it('ignores DA records outside of a file', () => {
+    expect(lcov.parse('DA:1,1\nSF:foo.js\nend_of_record\nDA:2,2')).toEqual({'foo.js': []});
+  })
+})
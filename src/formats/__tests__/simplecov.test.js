@@ -0,0 +1,32 @@
+const simplecov = require('../simplecov')
+
+const resultset = {
+  RSpec: {
+    coverage: {
+      '/home/runner/work/app/app/app/models/user.rb': {lines: [null, 1, 0, null]},
+    },
+    timestamp: 1700000000,
+  },
+  Minitest: {
+    coverage: {
+      '/home/runner/work/app/app/app/models/user.rb': {lines: [null, 0, 2, null, 'ignored']},
+      '/home/runner/work/app/app/lib/legacy.rb': [1, null, 0],
+    },
+    timestamp: 1700000000,
+  },
+}
+
+describe('simplecov', () => {
+  it('detects resultsets', () => {
+    expect(simplecov.detect(JSON.stringify(resultset), resultset)).toEqual(true);
+    expect(simplecov.detect('{"foo.rb": [1]}', {'foo.rb': [1]})).toEqual(false);
+    expect(simplecov.detect('{}', {})).toEqual(false);
+  })
+
+  it('combines test suites into line counts', () => {
+    expect(simplecov.parse(JSON.stringify(resultset), {workspace: '/home/runner/work/app/app'})).toEqual({
+      'app/models/user.rb': [null, 1, 2, null, null],
+      'lib/legacy.rb': [1, null, 0],
+    });
+  })
+})
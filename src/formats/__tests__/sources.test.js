@@ -0,0 +1,44 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const sources = require('../sources')
+
+describe('sources', () => {
+  describe('relativize', () => {
+    it('strips the workspace from absolute paths', () => {
+      expect(sources.relativize('/home/runner/work/app/app/src/x.js', '/home/runner/work/app/app')).toEqual('src/x.js');
+      expect(sources.relativize('/home/runner/work/app/app/src/x.js', '/home/runner/work/app/app/')).toEqual('src/x.js');
+    })
+    it('leaves other paths alone', () => {
+      expect(sources.relativize('/elsewhere/src/x.js', '/home/runner/work/app/app')).toEqual('/elsewhere/src/x.js');
+      expect(sources.relativize('src/x.js', '/home/runner/work/app/app')).toEqual('src/x.js');
+      expect(sources.relativize('/src/x.js', undefined)).toEqual('/src/x.js');
+    })
+  })
+
+  describe('resolve', () => {
+    let workspace;
+
+    beforeEach(() => {
+      workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'coverage-enforcer-'));
+      fs.mkdirSync(path.join(workspace, 'lib', 'app'), {recursive: true});
+      fs.writeFileSync(path.join(workspace, 'lib', 'app', 'x.py'), '');
+    })
+
+    afterEach(() => {
+      fs.rmSync(workspace, {recursive: true, force: true});
+    })
+
+    it('returns the name when there are no roots', () => {
+      expect(sources.resolve('app/x.py', {workspace})).toEqual('app/x.py');
+    })
+    it('picks the root the file exists under', () => {
+      expect(sources.resolve('app/x.py', {roots: ['src', `${workspace}/lib`], workspace})).toEqual('lib/app/x.py');
+      expect(sources.resolve('app/x.py', {roots: ['src', 'lib'], workspace})).toEqual('lib/app/x.py');
+    })
+    it('falls back to the first root', () => {
+      expect(sources.resolve('app/y.py', {roots: [`${workspace}/src`, 'lib'], workspace})).toEqual('src/app/y.py');
+      expect(sources.resolve('app/y.py', {roots: ['.'], workspace})).toEqual('app/y.py');
+    })
+  })
+})
@@ -0,0 +1,40 @@
+const xml = require('../xml')
+
+describe('xml', () => {
+  describe('walk', () => {
+    it('reports elements, attributes and text', () => {
+      const events = [];
+      xml.walk(`<?xml version="1.0"?>
+<!DOCTYPE report PUBLIC "-//JACOCO//DTD Report 1.1//EN" "report.dtd">
+<!-- a <comment> -->
+<a x="1" y='&lt;2&gt;'><b/>t &amp; u</a>`, {
+        open: (name, attributes) => events.push(['open', name, attributes]),
+        close: (name) => events.push(['close', name]),
+        text: (value) => value.trim() && events.push(['text', value.trim()]),
+      });
+      expect(events).toEqual([
+        ['open', 'a', {x: '1', y: '<2>'}],
+        ['open', 'b', {}],
+        ['close', 'b'],
+        ['text', 't & u'],
+        ['close', 'a'],
+      ]);
+    })
+  })
+
+  describe('rootElement', () => {
+    it('returns the first element and its attributes', () => {
+      expect(xml.rootElement('<?xml version="1.0"?>\n<coverage clover="3.2.0">')).toEqual({name: 'coverage', attributes: {clover: '3.2.0'}});
+      expect(xml.rootElement('{"coverage": []}')).toBeNull();
+    })
+  })
+
+  describe('rootElementIs', () => {
+    it('checks the first element', () => {
+      expect(xml.rootElementIs('<?xml version="1.0"?>\n<coverage line-rate="1">', 'coverage')).toEqual(true);
+      expect(xml.rootElementIs('<report name="x">', 'coverage')).toEqual(false);
+      expect(xml.rootElementIs('{"coverage": []}', 'coverage')).toEqual(false);
+      expect(xml.rootElementIs('', 'coverage')).toEqual(false);
+    })
+  })
+})
@@ -0,0 +1,73 @@
+const xml = require('./xml');
+const sources = require('./sources');
+const util = require('../util');
+
+// Cobertura XML (coverage.xml), as produced by coverage.py, cobertura, istanbul etc:
+//
+//   <coverage>
+//     <sources><source>/home/runner/work/app/app/src</source></sources>
+//     <packages><package><classes>
+//       <class filename="app/models.py">
+//         <methods>...</methods>
+//         <lines><line number="1" hits="1"/></lines>
+//       </class>
+//     </classes></package></packages>
+//   </coverage>
+//
+// Class file names are relative to one of the <source> roots. Clover XML (written by jest by
+// default) also has a <coverage> root, so look for Cobertura's packages or classes too.
+function detect(content) {
+  const root = xml.rootElement(content);
+  if (!root || root.name !== 'coverage' || root.attributes.clover !== undefined) return false;
+  return /<packages[\s/>]/.test(content) || /<class\s[^>]*\bfilename\s*=/.test(content);
+}
+
+function parse(content, {workspace, sourceRoots = []} = {}) {
+  const roots = [];
+  const classes = [];
+  let current = null;
+  let inSource = false;
+  let inMethods = false;
+  let sourceText = '';
+
+  xml.walk(content, {
+    open(name, attributes) {
+      if (name === 'source') {
+        inSource = true;
+        sourceText = '';
+      } else if (name === 'class') {
+        current = {filename: attributes.filename, lines: []};
+        classes.push(current);
+      } else if (name === 'methods') {
+        // method lines duplicate the class lines, so skip them
+        inMethods = true;
+      } else if (name === 'line' && current && !inMethods) {
+        current.lines.push([parseInt(attributes.number, 10), parseInt(attributes.hits, 10)]);
+      }
+    },
+    close(name) {
+      if (name === 'source') {
+        inSource = false;
+        if (sourceText.trim()) roots.push(sourceText.trim());
+      } else if (name === 'class') {
+        current = null;
+      } else if (name === 'methods') {
+        inMethods = false;
+      }
+    },
+    text(value) {
+      if (inSource) sourceText += value;
+    }
+  });
+
+  const coverage = {};
+  const resolveOptions = {roots: roots.concat(sourceRoots), workspace};
+  classes.forEach(({filename, lines}) => {
+    const name = sources.resolve(filename, resolveOptions);
+    const counts = coverage[name] = coverage[name] || [];
+    lines.forEach(([lineNumber, hits]) => util.addLineCount(counts, lineNumber, hits));
+  });
+  return coverage;
+}
+
+module.exports = {detect, parse};
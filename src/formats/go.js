@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const sources = require('./sources');
+
+// Go coverprofile (coverage.out), as produced by `go test -coverprofile`:
+//
+//   mode: set
+//   github.com/org/repo/pkg/file.go:10.2,12.16 2 1
+//
+// Each block is file:startLine.startColumn,endLine.endColumn numberOfStatements count. File names
+// are import paths, so the module path is stripped to get back to repository-relative paths.
+const BLOCK = /^(.+):(\d+)\.\d+,(\d+)\.\d+ (\d+) (\d+)$/;
+
+function detect(content) {
+  return /^mode: (set|count|atomic)\s*$/.test(content.split('\n', 1)[0]);
+}
+
+// read the module path from go.mod in the workspace, if there is one
+function modulePath(workspace) {
+  try {
+    const goMod = fs.readFileSync(path.join(workspace || '', 'go.mod'), 'utf8');
+    const match = goMod.match(/^module\s+"?([^\s"]+)"?/m);
+    return match ? match[1] : null;
+  } catch {
+    return null;
+  }
+}
+
+// turn an import path into a repository path, either by stripping the module path, or failing
+// that (e.g. nested modules) by dropping leading segments until we find a file that exists
+function repositoryPath(importPath, {module, workspace}) {
+  if (module && importPath.startsWith(`${module}/`)) return importPath.slice(module.length + 1);
+  const segments = importPath.split('/');
+  for (let i = 1; i < segments.length; i++) {
+    const candidate = segments.slice(i).join('/');
+    if (fs.existsSync(path.resolve(workspace || '', candidate))) return candidate;
+  }
+  return sources.relativize(importPath, workspace);
+}
+
+function parse(content, {workspace} = {}) {
+  const module = modulePath(workspace);
+  const coverage = {};
+  const names = {};
+
+  content.split(/\r?\n/).forEach(line => {
+    const match = line.trim().match(BLOCK);
+    if (!match) return;
+    const [, importPath, startLine, endLine, statements, count] = match;
+    if (parseInt(statements, 10) === 0) return;
+
+    names[importPath] = names[importPath] || repositoryPath(importPath, {module, workspace});
+    const counts = coverage[names[importPath]] = coverage[names[importPath]] || [];
+
+    // blocks can share a line (e.g. `} else {`), in which case the line counts as executed if
+    // either block was
+    for (let lineNumber = parseInt(startLine, 10); lineNumber <= parseInt(endLine, 10); lineNumber++) {
+      while (counts.length < lineNumber) counts.push(null);
+      const index = lineNumber - 1;
+      counts[index] = Math.max(counts[index] === null ? 0 : counts[index], parseInt(count, 10));
+    }
+  });
+
+  return coverage;
+}
+
+module.exports = {detect, parse};
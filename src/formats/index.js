@@ -0,0 +1,60 @@
+const cobertura = require('./cobertura');
+const go = require('./go');
+const istanbul = require('./istanbul');
+const jacoco = require('./jacoco');
+const json = require('./json');
+const lcov = require('./lcov');
+const simplecov = require('./simplecov');
+const util = require('../util');
+
+// Supported coverage formats, in the order that auto-detection tries them
+const formats = {cobertura, jacoco, lcov, go, istanbul, simplecov, json};
+
+function parseJson(content) {
+  try {
+    return JSON.parse(content);
+  } catch {
+    return undefined;
+  }
+}
+
+// work out which format a coverage file is in based on its content
+function detect(content, json = parseJson(content)) {
+  const format = Object.keys(formats).find(name => formats[name].detect(content, json));
+  if (!format) throw new Error('Unable to detect coverage format, please set coverage-format explicitly');
+  return format;
+}
+
+// parse coverage file contents into { "path/to/file": [null, 1, 0, ...] }
+//
+// options:
+//   format = one of the supported formats, or 'auto'
+//   workspace = root of the checked out repository, used to make absolute paths relative
+//   sourceRoots = directories that reported file names may be relative to
+function parse(content, {format = 'auto', workspace, sourceRoots = []} = {}) {
+  const json = parseJson(content);
+  const name = format === 'auto' ? detect(content, json) : format;
+  if (!formats[name]) throw new Error(`Unsupported coverage format: ${name}`);
+  return formats[name].parse(content, {json, workspace, sourceRoots});
+}
+
+// combine coverage from several files (e.g. sharded test runs) line by line. Counts are added
+// together, and a line counts as executable if any of the files says it is.
+function merge(coverages) {
+  const merged = {};
+  coverages.forEach(coverage => {
+    Object.keys(coverage).forEach(name => {
+      const counts = merged[name] = merged[name] || [];
+      coverage[name].forEach((count, index) => {
+        if (typeof count === 'number') {
+          util.addLineCount(counts, index + 1, count);
+        } else {
+          while (counts.length <= index) counts.push(null);
+        }
+      });
+    });
+  });
+  return merged;
+}
+
+module.exports = {detect, parse, merge, formats: Object.keys(formats)};
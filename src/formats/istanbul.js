@@ -0,0 +1,87 @@
+const sources = require('./sources');
+
+// Istanbul coverage-final.json, as produced by jest and nyc:
+//
+//   {
+//     "/abs/path/file.js": {
+//       "path": "/abs/path/file.js",
+//       "statementMap": { "0": { "start": { "line": 1, "column": 0 }, "end": { "line": 3, "column": 2 } } },
+//       "s": { "0": 1 },
+//       ...
+//     }
+//   }
+//
+// Istanbul itself only attributes a statement to its first line, which means a wrapped function
+// call or object literal is only annotated on its opening line. Here a line where statements start
+// gets the highest of their counts, as in Istanbul's own LCOV output, so a guard like
+// `if (!x) return;` counts as run when the `if` runs. The lines a statement continues onto get
+// the count of the innermost statement spanning them (e.g. an uncovered callback inside a covered
+// call). Function bodies (from fnMap) are nested too, so the blank lines, comments and closing
+// braces inside a function aren't given the count of the statement the function was declared in.
+function detect(content, json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) return false;
+  const values = Object.values(json);
+  return values.length > 0 && values.every(value => value && value.statementMap && value.s);
+}
+
+function comparePositions(a, b) {
+  return a.line - b.line || a.column - b.column;
+}
+
+// true if range a contains range b, and they aren't the same range
+function strictlyContains(a, b) {
+  const starts = comparePositions(a.start, b.start);
+  const ends = comparePositions(a.end, b.end);
+  return starts <= 0 && ends >= 0 && (starts !== 0 || ends !== 0);
+}
+
+function range({start, end}) {
+  return {
+    start: {line: start.line, column: start.column || 0},
+    end: {line: end.line, column: end.column === null || end.column === undefined ? Infinity : end.column}
+  };
+}
+
+function lineCounts({statementMap, s, fnMap = {}}) {
+  // everything covering each line: statements, and the bodies of functions after their first
+  // line (which is shared with the code the function is declared in)
+  const candidates = [];
+  const starts = [];
+  const add = (item, firstLine, lastLine) => {
+    for (let lineNumber = firstLine; lineNumber <= lastLine; lineNumber++) {
+      (candidates[lineNumber - 1] = candidates[lineNumber - 1] || []).push(item);
+    }
+  };
+  Object.keys(statementMap).forEach(id => {
+    const {start, end} = statementMap[id];
+    const count = s[id];
+    if (count === undefined || !start || !end) return;
+    add({range: range({start, end}), count}, start.line, end.line);
+    const index = start.line - 1;
+    starts[index] = starts[index] === undefined ? count : Math.max(starts[index], count);
+  });
+  Object.values(fnMap).forEach(fn => {
+    if (!fn || !fn.loc || !fn.loc.start || !fn.loc.end) return;
+    add({range: range(fn.loc), count: null}, fn.loc.start.line + 1, fn.loc.end.line);
+  });
+
+  return Array.from(candidates, (items, index) => {
+    if (starts[index] !== undefined) return starts[index];
+    if (!items) return null;
+    const innermost = items.filter(item => !items.some(other => strictlyContains(item.range, other.range)));
+    const counts = innermost.filter(item => item.count !== null).map(item => item.count);
+    return counts.length > 0 ? Math.max(...counts) : null;
+  });
+}
+
+function parse(content, {json, workspace} = {}) {
+  const data = json || JSON.parse(content);
+  const coverage = {};
+  Object.keys(data).forEach(key => {
+    const name = sources.relativize(data[key].path || key, workspace);
+    coverage[name] = lineCounts(data[key]);
+  });
+  return coverage;
+}
+
+module.exports = {detect, parse};
@@ -0,0 +1,54 @@
+const xml = require('./xml');
+const sources = require('./sources');
+const util = require('../util');
+
+const DEFAULT_SOURCE_ROOTS = ['src/main/java', 'src/main/kotlin', 'src/main/scala'];
+
+// JaCoCo XML (jacoco.xml):
+//
+//   <report>
+//     <package name="com/example">
+//       <sourcefile name="Foo.java">
+//         <line nr="3" mi="0" ci="2" mb="0" cb="0"/>
+//       </sourcefile>
+//     </package>
+//   </report>
+//
+// Lines are reported as missed (mi) and covered (ci) instructions. Files are only identified by
+// package and file name, so they are resolved against a list of source roots.
+function detect(content) {
+  return xml.rootElementIs(content, 'report');
+}
+
+function parse(content, {workspace, sourceRoots = []} = {}) {
+  const roots = sourceRoots.length > 0 ? sourceRoots : DEFAULT_SOURCE_ROOTS;
+  const coverage = {};
+  let packageName = null;
+  let counts = null;
+
+  xml.walk(content, {
+    open(name, attributes) {
+      if (name === 'package') {
+        packageName = attributes.name;
+      } else if (name === 'sourcefile' && packageName !== null) {
+        const filename = sources.resolve(`${packageName}/${attributes.name}`.replace(/^\//, ''), {roots, workspace});
+        counts = coverage[filename] = coverage[filename] || [];
+      } else if (name === 'line' && counts) {
+        const covered = parseInt(attributes.ci, 10);
+        const missed = parseInt(attributes.mi, 10);
+        if (covered > 0 || missed > 0) util.addLineCount(counts, parseInt(attributes.nr, 10), covered);
+      }
+    },
+    close(name) {
+      if (name === 'package') {
+        packageName = null;
+      } else if (name === 'sourcefile') {
+        counts = null;
+      }
+    }
+  });
+
+  return coverage;
+}
+
+module.exports = {detect, parse};
@@ -0,0 +1,15 @@
+// Native format, as produced by the coverage-converter-* actions:
+//
+//   { "path/to/file.js": [null, 1, 0] }
+//
+// where index 0 = line 1, null = not executable, and numbers are execution counts.
+function detect(content, json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) return false;
+  return Object.values(json).every(counts => Array.isArray(counts));
+}
+
+function parse(content, {json} = {}) {
+  return json || JSON.parse(content);
+}
+
+module.exports = {detect, parse};
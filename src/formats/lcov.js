@@ -0,0 +1,34 @@
+const util = require('../util');
+
+// LCOV tracefile, as produced by jest, nyc, c8, genhtml etc. We only care about line data:
+//
+//   SF:src/file.js
+//   DA:1,4
+//   DA:2,0
+//   end_of_record
+function detect(content) {
+  return /^\s*(TN|SF):/.test(content);
+}
+
+function parse(content) {
+  const coverage = {};
+  let counts = null;
+
+  content.split(/\r?\n/).forEach(line => {
+    line = line.trim();
+    if (line.startsWith('SF:')) {
+      const name = line.slice(3);
+      counts = coverage[name] = coverage[name] || [];
+    } else if (line.startsWith('DA:') && counts) {
+      // DA:<line number>,<execution count>[,<checksum>]
+      const [lineNumber, count] = line.slice(3).split(',');
+      util.addLineCount(counts, parseInt(lineNumber, 10), parseInt(count, 10));
+    } else if (line === 'end_of_record') {
+      counts = null;
+    }
+  });
+
+  return coverage;
+}
+
+module.exports = {detect, parse};
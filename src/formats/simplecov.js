@@ -0,0 +1,43 @@
+const sources = require('./sources');
+const util = require('../util');
+
+// SimpleCov .resultset.json, keyed by test suite name:
+//
+//   {
+//     "RSpec": {
+//       "coverage": {
+//         "/abs/path/app/models/user.rb": { "lines": [null, 1, 0] }
+//       },
+//       "timestamp": 1700000000
+//     }
+//   }
+//
+// Older versions of SimpleCov store the lines array directly rather than under "lines". Results
+// from multiple test suites are combined.
+function detect(content, json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) return false;
+  const values = Object.values(json);
+  return values.length > 0 && values.every(value => value && typeof value.coverage === 'object');
+}
+
+function parse(content, {json, workspace} = {}) {
+  const data = json || JSON.parse(content);
+  const coverage = {};
+  Object.values(data).forEach(({coverage: files}) => {
+    Object.keys(files).forEach(key => {
+      const name = sources.relativize(key, workspace);
+      const lines = Array.isArray(files[key]) ? files[key] : files[key].lines || [];
+      const counts = coverage[name] = coverage[name] || [];
+      lines.forEach((count, index) => {
+        if (typeof count === 'number') {
+          util.addLineCount(counts, index + 1, count);
+        } else {
+          while (counts.length <= index) counts.push(null);
+        }
+      });
+    });
+  });
+  return coverage;
+}
+
+module.exports = {detect, parse};
@@ -0,0 +1,22 @@
+const fs = require('fs');
+const path = require('path');
+
+// Coverage paths should line up with the repository-relative paths that GitHub reports for
+// changed files, so make paths inside the workspace relative to it and use forward slashes.
+function relativize(name, workspace) {
+  const normalized = name.split(path.sep).join('/');
+  if (!workspace || !path.posix.isAbsolute(normalized)) return normalized;
+  const root = workspace.split(path.sep).join('/').replace(/\/+$/, '') + '/';
+  return normalized.startsWith(root) ? normalized.slice(root.length) : normalized;
+}
+
+// Some formats report file names relative to one of several source roots. Pick the first root
+// that the file actually exists under in the workspace, falling back to the first root.
+function resolve(name, {roots = [], workspace} = {}) {
+  if (roots.length === 0) return relativize(name, workspace);
+  const candidates = roots.map(root => path.posix.join(root.split(path.sep).join('/'), name));
+  const found = candidates.find(candidate => fs.existsSync(path.resolve(workspace || '', candidate)));
+  return relativize(found || candidates[0], workspace);
+}
+
+module.exports = {relativize, resolve};
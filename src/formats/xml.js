@@ -0,0 +1,52 @@
+// Minimal streaming XML reader, just enough for the well-formed reports written by coverage
+// tools. Calls `open(name, attributes)`, `close(name)` and `text(value)` as the document is
+// walked. Comments, doctypes and processing instructions are skipped.
+const TOKEN = /<!--[\s\S]*?-->|<![^>]*>|<\?[\s\S]*?\?>|<(\/?)([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const ATTRIBUTE = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const ENTITIES = {amp: '&', lt: '<', gt: '>', quot: '"', apos: "'"};
+
+function decode(value) {
+  return value.replace(/&(amp|lt|gt|quot|apos);/g, (match, entity) => ENTITIES[entity]);
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  for (const match of source.matchAll(ATTRIBUTE)) {
+    attributes[match[1]] = decode(match[2] !== undefined ? match[2] : match[3]);
+  }
+  return attributes;
+}
+
+function walk(content, {open = () => {}, close = () => {}, text = () => {}}) {
+  let position = 0;
+  for (const match of content.matchAll(TOKEN)) {
+    if (match.index > position) text(decode(content.slice(position, match.index)));
+    position = match.index + match[0].length;
+
+    const [, closing, name, attributes, selfClosing] = match;
+    if (!name) continue; // comment, doctype etc
+    if (closing) {
+      close(name);
+    } else {
+      open(name, parseAttributes(attributes));
+      if (selfClosing) close(name);
+    }
+  }
+}
+
+// the document's root element as {name, attributes}, or null if it isn't XML
+function rootElement(content) {
+  if (!content.trimStart().startsWith('<')) return null;
+  for (const match of content.matchAll(TOKEN)) {
+    if (match[2]) return match[1] ? null : {name: match[2], attributes: parseAttributes(match[3])};
+  }
+  return null;
+}
+
+// does the document's root element have the given name?
+function rootElementIs(content, name) {
+  const root = rootElement(content);
+  return Boolean(root) && root.name === name;
+}
+
+module.exports = {walk, rootElement, rootElementIs};
@@ -0,0 +1,44 @@
+const childProcess = require('child_process');
+
+function git(args, {cwd} = {}) {
+  return childProcess.execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    maxBuffer: 256 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+}
+
+// unified diff of the changes made on head since it diverged from base, optionally limited to
+// some paths. Without a head, diffs the working tree against base. The prefixes are given
+// explicitly because diff.noprefix and diff.mnemonicPrefix in the user's git config change them.
+function diff({base, head, paths = [], cwd}) {
+  const args = [
+    'diff', '--no-color', '--no-ext-diff', '--find-renames', '--src-prefix=a/', '--dst-prefix=b/',
+    head ? `${base}...${head}` : base
+  ];
+  if (paths.length > 0) args.push('--', ...paths);
+  return git(args, {cwd});
+}
+
+function mergeBase(base, head, {cwd} = {}) {
+  return git(['merge-base', base, head], {cwd}).trim();
+}
+
+function topLevel({cwd} = {}) {
+  return git(['rev-parse', '--show-toplevel'], {cwd}).trim();
+}
+
+// branches usually only exist as remote-tracking branches in a CI checkout, so prefer
+// origin/<ref> when it exists, otherwise use the ref as-is (SHAs, tags, local branches)
+function resolveRef(ref, {cwd} = {}) {
+  if (/^[0-9a-f]{40}$/.test(ref)) return ref;
+  try {
+    git(['rev-parse', '--verify', '--quiet', `refs/remotes/origin/${ref}`], {cwd});
+    return `origin/${ref}`;
+  } catch {
+    return ref;
+  }
+}
+
+module.exports = {git, diff, mergeBase, topLevel, resolveRef};
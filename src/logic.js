@@ -1,82 +1,253 @@
 const core = require('@actions/core');
 const github = require('@actions/github');
+const glob = require('@actions/glob');
 const fs = require('fs');
+const path = require('path');
 const File = require('./file');
+const comment = require('./comment');
+const configFile = require('./config');
+const diff = require('./diff');
+const formats = require('./formats');
+const git = require('./git');
+const paths = require('./paths');
+const pragmas = require('./pragmas');
+const results = require('./results');
+const sarif = require('./sarif');
+const jobSummary = require('./summary');
 const util = require('./util');
 
-// Helper function to parse diff hunks and extract changed line numbers
-function parseDiffHunks(patch) {
-  if (!patch) return [];
+// Helper function to check if a file has only been renamed
+function isRenamedOnly(file) {
+  // If there's a previous filename and no patch or changes, it's a pure rename
+  return file.previous_filename && !file.patch && !file.changes;
+}
 
-  const changedLines = [];
-  const lines = patch.split('\n');
-  let currentLineNumber = 0;
+// GitHub leaves out the patch for very large diffs, which would otherwise make the file look
+// unchanged, or like a pure rename
+function isMissingPatch(file) {
+  return !file.patch && file.status !== 'removed' && file.changes > 0;
+}
 
-  for (const line of lines) {
-    // Skip diff headers
-    if (line.startsWith('@@')) {
-      const match = line.match(/\+(\d+),(\d+)/);
-      if (match) {
-        currentLineNumber = parseInt(match[1], 10);
-      }
-      continue;
-    }
+// Write a report file, creating its directory if needed
+function writeJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), {recursive: true});
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+  core.info(`Wrote ${filePath}`);
+}
 
-    // Only track added lines (lines starting with +)
-    if (line.startsWith('+') && !line.startsWith('+++')) {
-      changedLines.push(currentLineNumber);
-    }
+// Read coverage data, converting it from whatever format it is in. See formats.parse for options.
+function read(path, options = {}) {
+  const coverage = formats.parse(fs.readFileSync(path, 'utf8'), options);
+  // an empty result usually means the wrong format was used, which would otherwise skip every file
+  if (Object.keys(coverage).length === 0) throw new Error(`No coverage data found in ${path}`);
+  return coverage;
+}
+
+// Read changed files from a unified diff file, in the same shape as GitHub's list of pull request files
+function readDiff(path) {
+  return diff.parseDiff(fs.readFileSync(path, 'utf8'));
+}
 
-    // Increment line number for non-diff lines and added lines
-    if (!line.startsWith('-') || line.startsWith('+')) {
-      currentLineNumber++;
+// Expand a list of coverage file paths and glob patterns into the matching paths
+async function findCoverageFiles(patterns) {
+  const paths = [];
+  for (const pattern of patterns) {
+    if (/[*?[{]/.test(pattern)) {
+      const globber = await glob.create(pattern, {matchDirectories: false});
+      paths.push(...(await globber.glob()).sort());
+    } else {
+      paths.push(pattern);
     }
   }
+  return paths;
+}
 
-  return changedLines;
+// Read and merge coverage data from all matching coverage files
+async function readAll(patterns, options = {}) {
+  const paths = await findCoverageFiles(patterns);
+  if (paths.length === 0) throw new Error(`No coverage files found matching ${patterns.join(', ')}`);
+  paths.forEach(path => core.info(`Reading coverage from ${path}`));
+  return formats.merge(paths.map(path => read(path, options)));
 }
 
-// Helper function to check if a file has only been renamed
-function isRenamedOnly(file) {
-  // If there's a previous filename and no patch, it's a pure rename
-  return file.previous_filename && !file.patch;
+// Coverage paths that don't exist in the repository are silently never matched against changed
+// files, so list them to help with setting up path-prefix-strip/path-prefix-add
+function reportUnmatchedPaths({coverageData, workspace}) {
+  const unmatched = paths.unmatchedPaths(coverageData, workspace);
+  if (unmatched.length === 0) return;
+  core.debug(`Coverage paths not found in the repository:\n${unmatched.join('\n')}`);
+  if (unmatched.length === Object.keys(coverageData).length) {
+    core.warning(`None of the ${unmatched.length} paths in the coverage data were found in the repository, e.g. ${unmatched[0]}. Check path-prefix-strip and path-prefix-add.`);
+  }
+}
+
+// GitHub only ever returns the first 3000 files of a pull request
+const MAX_PULL_REQUEST_FILES = 3000;
+
+// The `before` SHA of a push that created a branch
+const NULL_SHA = '0000000000000000000000000000000000000000';
+
+// What to compare pushes against: an explicitly configured branch, tag or SHA, otherwise the
+// previous tip of the branch, so that each push is judged on its own changes. Newly created
+// branches have no previous tip, so fall back to the default branch.
+function determinePushBase({context, baseRef}) {
+  if (baseRef) return baseRef;
+  if (context.payload.before && context.payload.before !== NULL_SHA) return context.payload.before;
+  return context.payload.repository.default_branch;
+}
+
+// Events that carry a pull_request payload
+const PULL_REQUEST_EVENTS = ['pull_request', 'pull_request_target'];
+
+// workflow_run events only list pull requests from the same repository, so for pull requests from
+// forks look for an open pull request whose head is the commit the workflow ran on
+async function findWorkflowRunPullRequest({context, octokit}) {
+  const run = context.payload.workflow_run;
+  if (run.pull_requests && run.pull_requests.length > 0) return run.pull_requests[0];
+  if (!run.head_repository) return null;
+
+  const pulls = await octokit.paginate(octokit.rest.pulls.list, {
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    state: 'open',
+    head: `${run.head_repository.owner.login}:${run.head_branch}`,
+    per_page: 100
+  });
+  return pulls.find(pull => pull.head.sha === run.head_sha) || null;
 }
 
-// Read coverage data
-function read(path) {
-  return JSON.parse(fs.readFileSync(path, 'utf8'));
+// Work out what to compare for the triggering event:
+//   pullNumber = pull request to list files for, or null to compare commits
+//   base, head = commits (or refs) to compare
+async function determineComparison({context, octokit, baseRef}) {
+  if (PULL_REQUEST_EVENTS.includes(context.eventName)) {
+    const pull = context.payload.pull_request;
+    return {pullNumber: context.issue.number, base: pull.base.sha, head: pull.head.sha};
+  }
+
+  if (context.eventName === 'merge_group') {
+    const group = context.payload.merge_group;
+    return {pullNumber: null, base: group.base_sha, head: group.head_sha};
+  }
+
+  if (context.eventName === 'workflow_run') {
+    const run = context.payload.workflow_run;
+    const pull = await findWorkflowRunPullRequest({context, octokit});
+    if (pull) return {pullNumber: pull.number, base: pull.base.sha, head: run.head_sha};
+    return {pullNumber: null, base: baseRef || context.payload.repository.default_branch, head: run.head_sha};
+  }
+
+  return {pullNumber: null, base: determinePushBase({context, baseRef}), head: context.sha};
 }
 
 // Get details on changed files
-async function determineChangedFiles({context, octokit}) {
-  if (context.eventName === 'pull_request') {
-    const { data: files } = await octokit.rest.pulls.listFiles({
+async function determineChangedFiles({context, octokit, baseRef, comparison}) {
+  comparison = comparison || await determineComparison({context, octokit, baseRef});
+  if (comparison.pullNumber) {
+    const files = await octokit.paginate(octokit.rest.pulls.listFiles, {
       owner: context.repo.owner,
       repo: context.repo.repo,
-      pull_number: context.issue.number
+      pull_number: comparison.pullNumber,
+      per_page: 100
     });
+    if (files.length >= MAX_PULL_REQUEST_FILES) {
+      core.warning(`Pull request has reached GitHub's limit of ${MAX_PULL_REQUEST_FILES} listed files, any further files have not been checked so coverage is partial`);
+    }
     return files;
   } else {
-    // For push events, compare with the default branch
+    core.info(`Comparing ${comparison.head} against ${comparison.base}`);
     const { data: compare } = await octokit.rest.repos.compareCommits({
       owner: context.repo.owner,
       repo: context.repo.repo,
-      base: context.payload.repository.default_branch,
-      head: context.sha
+      base: comparison.base,
+      head: comparison.head
     });
     return compare.files;
   }
 }
 
-function mapToFiles({coverageData, changedFiles}) {
+// Fill in any patches that GitHub left out, first from the full pull request diff, and failing
+// that from `git diff` in the checked out workspace
+async function fillMissingPatches({context, octokit, changedFiles, workspace, baseRef, comparison}) {
+  const missing = changedFiles.filter(isMissingPatch);
+  if (missing.length === 0) return changedFiles;
+  core.info(`Fetching full diff for ${missing.length} files that GitHub did not include a patch for`);
+  comparison = comparison || await determineComparison({context, octokit, baseRef});
+
+  const patches = {};
+  const addPatches = (text) => diff.parseDiff(text).forEach(file => {
+    if (file.patch) patches[file.filename] = file.patch;
+  });
+
+  if (comparison.pullNumber) {
+    try {
+      const { data } = await octokit.rest.pulls.get({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        pull_number: comparison.pullNumber,
+        mediaType: { format: 'diff' }
+      });
+      addPatches(data);
+    } catch (error) {
+      core.info(`Unable to fetch pull request diff: ${error.message}`);
+    }
+  }
+
+  const stillMissing = missing.filter(file => !patches[file.filename]);
+  if (stillMissing.length > 0) {
+    try {
+      const filePaths = stillMissing.flatMap(file => [file.previous_filename, file.filename]).filter(Boolean);
+      const base = git.resolveRef(comparison.base, {cwd: workspace});
+      addPatches(git.diff({base, head: comparison.head, paths: filePaths, cwd: workspace}));
+    } catch (error) {
+      core.info(`Unable to run git diff: ${error.message}`);
+    }
+  }
+
+  return changedFiles.map(file => {
+    if (!isMissingPatch(file)) return file;
+    if (patches[file.filename]) return {...file, patch: patches[file.filename]};
+    core.warning(`No diff available for ${file.filename}, so it has been skipped. Check out the repository with enough history to diff it locally (e.g. fetch-depth: 0).`);
+    return {...file, skipReason: 'no diff available'};
+  });
+}
+
+// Coverage data for a file that the test suite never loaded: every added line that isn't blank
+// counts as missed
+function unloadedCoverage(addedLines) {
+  const counts = [];
+  addedLines
+    .filter(line => line.content.trim() !== '')
+    .forEach(line => util.addLineCount(counts, line.lineNumber, 0));
+  return counts;
+}
+
+// requireCoverageFor = globs of files that must appear in the coverage data. Matching changed files
+// that don't are treated as entirely uncovered rather than skipped.
+function mapToFiles({coverageData, changedFiles, workspace, config = configFile.defaults(), requireCoverageFor = []}) {
   return changedFiles.map((file) => {
-    const skipped = isRenamedOnly(file);
-    const changedLineNumbers = parseDiffHunks(file.patch);
+    const ignored = pragmas.read(file.filename, {workspace});
+    if (ignored.unclosedStart !== null) {
+      core.warning(
+        `coverage-enforcer: ignore-start on line ${ignored.unclosedStart} has no matching ignore-end, so the rest of the file is ignored`,
+        {file: file.filename, startLine: ignored.unclosedStart}
+      );
+    }
+    const skipReason = file.skipReason
+      || (isRenamedOnly(file) ? 'renamed without changes' : null)
+      || configFile.skipReason(file.filename, config)
+      || (ignored.file ? 'ignored by pragma' : null);
+    const added = diff.parsePatch(file.patch).added;
+    const notLoaded = !skipReason
+      && !coverageData[file.filename]
+      && Boolean(configFile.matches(file.filename, requireCoverageFor));
     return new File({
       name: file.filename,
-      skipped,
-      changedLines: changedLineNumbers,
-      coverageData: coverageData[file.filename]
+      skipReason,
+      changedLines: added.map(line => line.lineNumber),
+      coverageData: notLoaded ? unloadedCoverage(added) : coverageData[file.filename],
+      ignoredLines: ignored.lines,
+      notLoaded
     })
   })
 }
@@ -95,43 +266,197 @@ function calculateCoverage(files) {
     : 100;
 }
 
+// Coverage of the whole project, from the execution counts of every file in the coverage data
+function calculateProjectCoverage(coverageData) {
+  const files = Object.keys(coverageData).map(name => new File({name, changedLines: [], coverageData: coverageData[name]}));
+  const executableLines = util.sum(files.map(file => file.executableLinesCount));
+  const executedLines = util.sum(files.map(file => file.executedLinesCount));
+  return executableLines > 0
+    ? (executedLines / executableLines) * 100
+    : 100;
+}
+
+// Compare overall coverage with the base branch. tolerance = the largest decrease allowed, in
+// percentage points, or null to only report the change.
+function compareProjectCoverage({baseCoverageData, coverageData, tolerance = null}) {
+  const base = calculateProjectCoverage(baseCoverageData);
+  const head = calculateProjectCoverage(coverageData);
+  return {base, head, delta: head - base, tolerance};
+}
+
+function countUncoveredLines(files) {
+  return util.sum(files.map(file => file.relevantMissedLinesCount));
+}
+
+function isLimit(value) {
+  return value !== null && value !== undefined;
+}
+
+// budget = maximum number of uncovered changed lines, overall (maxUncoveredLines) and in any one
+// file (maxUncoveredLinesPerFile). Either may be null for no limit.
+function hasBudget(budget) {
+  return isLimit(budget.maxUncoveredLines) || isLimit(budget.maxUncoveredLinesPerFile);
+}
+
 // generate summary for attaching to check.
 //
 // title = shown next to check. Very short summary.
 // summary = shown at top of job.
 // details = shown in body of job, contains full details of job
-function summarize({files, relevantFiles, coveragePercentage}) {
+function summarize({files, relevantFiles, coveragePercentage, omittedAnnotations = 0, groups = null, budget = {}, ratchet = null}) {
   const totalRelevantChangedLines = util.sum(relevantFiles.map(file => file.relevantLinesCount));
 
-  const title = `Coverage for changed lines: ${util.formatPercent(coveragePercentage)}`;
-  const summary = `Based on ${totalRelevantChangedLines} lines changed in ${relevantFiles.length} files.`;
+  let title = `Coverage for changed lines: ${util.formatPercent(coveragePercentage)}`;
+  if (hasBudget(budget)) {
+    const uncoveredLines = countUncoveredLines(relevantFiles);
+    title += `, ${uncoveredLines} uncovered ${uncoveredLines == 1 ? 'line' : 'lines'}`;
+    if (isLimit(budget.maxUncoveredLines)) title += ` (max ${budget.maxUncoveredLines})`;
+  }
+  let summary = `Based on ${totalRelevantChangedLines} lines changed in ${relevantFiles.length} files.`;
+  if (omittedAnnotations > 0) {
+    summary += ` ${omittedAnnotations} further annotations were not added as the max-annotations limit was reached.`;
+  }
+  if (ratchet) {
+    const sign = ratchet.delta > 0 ? '+' : '';
+    summary += ` Overall coverage is ${util.formatPercent(ratchet.head)} (${sign}${util.formatPercent(ratchet.delta)} compared to ${util.formatPercent(ratchet.base)} on the base branch).`;
+  }
   let details = [
     "| File | Skipped | Changed Lines | Changed Unexecuted Lines | Coverage |",
     "|------|---------|---------------|--------------------------|----------|",
   ];
+  // when threshold rules are configured, show the rule each file was checked against
+  const ruleColumn = (file) => {
+    if (!groups) return '';
+    const group = groups.find(group => group.files.includes(file));
+    return ` ${group ? group.rule : '-'} |`;
+  };
+  if (groups) {
+    details[0] += ' Rule |';
+    details[1] += '------|';
+  }
   files.forEach(file => {
     if (file.skipped) {
       details.push(
-        `| ${file.name} | ✓ | ${file.changedLinesCount} | - | - |`
+        `| ${file.name} | ✓ (${file.skipReason}) | ${file.changedLinesCount} | - | - |${ruleColumn(file)}`
       )
     } else {
       details.push(
-        `| ${file.name} | - | ${file.changedLinesCount} | ${file.relevantMissedLinesCount} | ${util.formatPercent(file.coveragePercent)} |`
+        `| ${file.name} | - | ${file.changedLinesCount} | ${file.relevantMissedLinesCount} | ${util.formatPercent(file.coveragePercent)}${file.notLoaded ? ' (not loaded by test suite)' : ''} |${ruleColumn(file)}`
       )
     }
   });
+
+  if (groups) {
+    details.push(
+      '',
+      '| Rule | Threshold | Coverage | Result |',
+      '|------|-----------|----------|--------|',
+    );
+    groups.forEach(group => {
+      const result = group.passed
+        ? '✓ passed'
+        : `✗ failed${group.failedFiles.length > 0 ? ` (${group.failedFiles.map(file => file.name).join(', ')} below threshold)` : ''}`;
+      details.push(
+        `| ${group.rule} | ${group.threshold}% | ${util.formatPercent(group.coveragePercentage)} | ${result} |`
+      );
+    });
+  }
+
+  const ignoredFiles = relevantFiles.filter(file => file.ignoredChangedLines.length > 0);
+  if (ignoredFiles.length > 0) {
+    details.push('', 'Changed lines ignored by pragmas:', '');
+    ignoredFiles.forEach(file => {
+      details.push(`- ${file.name}: ${util.formatLineRanges(file.ignoredChangedLines)}`);
+    });
+  }
   return {title, summary, details: details.join('\n')}
 }
 
-function passed({coveragePercentage, coverageThreshold}) {
-  return coveragePercentage >= coverageThreshold;
+// Files that match no threshold rule are checked against coverage-threshold
+const DEFAULT_RULE = 'default';
+
+// Group files by the first threshold rule whose glob matches them, and check each group's coverage
+// against the rule's threshold. With perFileThreshold every file in a group must also meet the
+// threshold on its own. Returns null when no rules are configured, so that only the overall
+// coverage is checked.
+function evaluateThresholds({files, coverageThreshold, config = configFile.defaults()}) {
+  if (config.thresholds.length == 0 && !config.perFileThreshold) return null;
+
+  const rules = [...config.thresholds, {pattern: DEFAULT_RULE, threshold: coverageThreshold}];
+  const grouped = rules.map(() => []);
+  files.forEach(file => {
+    const pattern = configFile.matches(file.name, config.thresholds.map(rule => rule.pattern));
+    const index = pattern ? config.thresholds.findIndex(rule => rule.pattern === pattern) : rules.length - 1;
+    grouped[index].push(file);
+  });
+
+  return rules
+    .map(({pattern, threshold}, index) => {
+      const groupFiles = grouped[index];
+      const coveragePercentage = calculateCoverage(groupFiles);
+      const failedFiles = config.perFileThreshold
+        ? groupFiles.filter(file => file.coveragePercent < threshold)
+        : [];
+      return {
+        rule: pattern,
+        threshold,
+        files: groupFiles,
+        coveragePercentage,
+        failedFiles,
+        passed: coveragePercentage >= threshold && failedFiles.length == 0
+      };
+    })
+    .filter(group => group.files.length > 0 || group.rule === DEFAULT_RULE);
+}
+
+// Reasons the check failed, if any
+function failures({coveragePercentage, coverageThreshold, groups = null, files = [], budget = {}, ratchet = null}) {
+  const messages = [];
+  if (!groups && coveragePercentage < coverageThreshold) {
+    messages.push(`Code coverage (${util.formatPercent(coveragePercentage)}) is below the required threshold (${coverageThreshold}%)`);
+  }
+
+  (groups || []).forEach(group => {
+    const label = group.rule === DEFAULT_RULE ? 'files matching no rule' : group.rule;
+    if (group.coveragePercentage < group.threshold) {
+      messages.push(`Code coverage for ${label} (${util.formatPercent(group.coveragePercentage)}) is below the required threshold (${group.threshold}%)`);
+    }
+    group.failedFiles.forEach(file => {
+      messages.push(`Code coverage for ${file.name} (${util.formatPercent(file.coveragePercent)}) is below the required threshold for ${label} (${group.threshold}%)`);
+    });
+  });
+
+  const uncoveredLines = countUncoveredLines(files);
+  if (isLimit(budget.maxUncoveredLines) && uncoveredLines > budget.maxUncoveredLines) {
+    messages.push(`${uncoveredLines} changed ${uncoveredLines == 1 ? 'line is' : 'lines are'} not covered, more than the maximum of ${budget.maxUncoveredLines}`);
+  }
+  if (isLimit(budget.maxUncoveredLinesPerFile)) {
+    files.filter(file => file.relevantMissedLinesCount > budget.maxUncoveredLinesPerFile).forEach(file => {
+      const count = file.relevantMissedLinesCount;
+      messages.push(`${file.name} has ${count} uncovered changed ${count == 1 ? 'line' : 'lines'}, more than the maximum of ${budget.maxUncoveredLinesPerFile} per file`);
+    });
+  }
+  if (ratchet && ratchet.tolerance !== null && -ratchet.delta > ratchet.tolerance) {
+    messages.push(`Overall coverage decreased by ${util.formatPercent(-ratchet.delta)} (from ${util.formatPercent(ratchet.base)} to ${util.formatPercent(ratchet.head)}), more than the allowed ${ratchet.tolerance}%`);
+  }
+  return messages;
 }
 
-// Create check run
+function passed(options) {
+  return failures(options).length == 0;
+}
+
+// GitHub only accepts 50 annotations per create/update request
+const ANNOTATIONS_PER_REQUEST = 50;
+
+// Create check run. The first batch of annotations is sent when creating the check, and the rest
+// are added by updating it.
 async function createCheck({github, octokit, success, title, summary, details, annotations}) {
   const head_sha = determineCommitSha(github);
   core.info(`Adding check status to ${head_sha}`);
-  return octokit.rest.checks.create({
+  const batches = util.chunk(annotations, ANNOTATIONS_PER_REQUEST);
+  const output = {title, summary, text: details};
+  const response = await octokit.rest.checks.create({
     owner: github.context.repo.owner,
     repo: github.context.repo.repo,
     name: 'Code coverage',
@@ -139,58 +464,199 @@ async function createCheck({github, octokit, success, title, summary, details, a
     status: 'completed',
     conclusion: success ? 'success' : 'failure',
     output: {
-      title,
-      summary,
-      text: details,
-      annotations: annotations
+      ...output,
+      annotations: batches.length > 0 ? batches[0] : []
     }
   });
+  for (const batch of batches.slice(1)) {
+    await octokit.rest.checks.update({
+      owner: github.context.repo.owner,
+      repo: github.context.repo.repo,
+      check_run_id: response.data.id,
+      output: {
+        ...output,
+        annotations: batch
+      }
+    });
+  }
+  return response;
+}
+
+// Report using workflow command annotations, which are shown on the pull request like check
+// annotations but don't need write access. Useful for pull requests from forks, where the token
+// is read-only.
+// The per-file table can't be shown on a check run, so unless it's already in the job summary it's
+// written there instead
+async function annotateWithWorkflowCommands({title, summary, details, annotations, jobSummaryWritten = false}) {
+  core.notice(summary, {title});
+  annotations.forEach(annotation => {
+    core.warning(annotation.message, {
+      title: 'Code coverage',
+      file: annotation.path,
+      startLine: annotation.start_line,
+      endLine: annotation.end_line
+    });
+  });
+  if (!jobSummaryWritten) await jobSummary.writeTable({title, summary, details});
+}
+
+const REPORT_MODES = ['check', 'annotations', 'auto'];
+
+// Report results according to report-mode:
+//   check = create a check run
+//   annotations = use workflow command annotations
+//   auto = create a check run, falling back to annotations if the token can't write checks
+async function report({github, octokit, reportMode, success, title, summary, details, annotations, jobSummaryWritten = false}) {
+  if (reportMode === 'annotations') return annotateWithWorkflowCommands({title, summary, details, annotations, jobSummaryWritten});
+  try {
+    await createCheck({github, octokit, success, title, summary, details, annotations});
+  } catch (error) {
+    if (reportMode !== 'auto' || error.status !== 403) throw error;
+    core.info(`Unable to create check (${error.message}), using workflow annotations instead. This is expected for pull requests from forks.`);
+    await annotateWithWorkflowCommands({title, summary, details, annotations, jobSummaryWritten});
+  }
+}
+
+// Keep a single comment on the pull request up to date with the coverage report
+async function commentOnPullRequest({context, octokit, comparison, success, title, summary, details, files}) {
+  if (!comparison.pullNumber) {
+    core.info('Not commenting, as this run is not for a pull request');
+    return;
+  }
+  const body = comment.format({title, summary, details, files});
+  await comment.upsert({context, octokit, pullNumber: comparison.pullNumber, body, recovered: success});
 }
 
 function determineCommitSha(github) {
   // Note that GITHUB_SHA for this event is the last merge commit of the pull request merge branch.
   // If you want to get the commit ID for the last commit to the head branch of the pull request,
   // use github.event.pull_request.head.sha instead.
-  if (github.context.eventName == 'pull_request') {
+  if (PULL_REQUEST_EVENTS.includes(github.context.eventName)) {
     return github.context.payload.pull_request.head.sha;
   }
+  // GITHUB_SHA for workflow_run is the latest commit on the default branch, not the commit that
+  // the triggering workflow ran on
+  if (github.context.eventName == 'workflow_run') {
+    return github.context.payload.workflow_run.head_sha;
+  }
   return github.context.sha;
 }
 
+// read an optional numeric input, which is null when not given
+function optionalNumberInput(name) {
+  const value = core.getInput(name);
+  if (!value) return null;
+  const number = Number(value);
+  if (isNaN(number) || number < 0) throw new Error(`${name} must be a non-negative number`);
+  return number;
+}
+
+// read an optional whole number input, which is defaultValue when not given
+function optionalIntInput(name, defaultValue = null) {
+  const value = core.getInput(name);
+  if (!value) return defaultValue;
+  if (!/^\d+$/.test(value.trim())) throw new Error(`${name} must be a whole number`);
+  return parseInt(value, 10);
+}
+
 async function run() {
   try {
     // Get inputs
-    const coverageFile = core.getInput('coverage-file', { required: true });
+    const coverageFiles = core.getMultilineInput('coverage-file', { required: true });
+    const coverageFormat = core.getInput('coverage-format') || 'auto';
+    const sourceRoots = core.getMultilineInput('source-roots');
+    const workspace = process.env.GITHUB_WORKSPACE || process.cwd();
+    const stripPrefixes = core.getMultilineInput('path-prefix-strip');
+    const addPrefix = core.getInput('path-prefix-add');
     const coverageThreshold = parseInt(core.getInput('coverage-threshold', { required: true }), 10);
     const token = core.getInput('github-token', { required: true });
     const annotate = core.getInput('annotate', { required: true }) == 'true';
+    const maxAnnotations = optionalIntInput('max-annotations', 1000);
+    const budget = {
+      maxUncoveredLines: optionalIntInput('max-uncovered-lines'),
+      maxUncoveredLinesPerFile: optionalIntInput('max-uncovered-lines-per-file')
+    };
+    const baseRef = core.getInput('base-ref');
+    const reportMode = core.getInput('report-mode') || 'auto';
+    if (!REPORT_MODES.includes(reportMode)) throw new Error(`report-mode must be one of ${REPORT_MODES.join(', ')}`);
+    const prComment = core.getInput('pr-comment') == 'true';
+    const writeJobSummary = core.getInput('job-summary') != 'false';
+    const jsonReport = core.getInput('json-report');
+    const sarifReport = core.getInput('sarif-report');
+    const diffFile = core.getInput('diff-file');
+    const requireCoverageFor = core.getMultilineInput('require-coverage-for');
+    const baseCoverageFiles = core.getMultilineInput('base-coverage-file');
+    const maxCoverageDecrease = optionalNumberInput('max-coverage-decrease');
+    const config = configFile.load(core.getInput('config-file'), {workspace});
 
     // Initialize GitHub client
     const octokit = github.getOctokit(token);
     const context = github.context;
     // core.debug(JSON.stringify({context}, "\n", 2));
 
-    const coverageData = read(coverageFile);
-    const changedFiles = await determineChangedFiles({context, octokit});
-    const files = mapToFiles({coverageData, changedFiles});
+    const loadCoverage = async (patterns) => paths.normalizeCoverage(
+      await readAll(patterns, {format: coverageFormat, workspace, sourceRoots}),
+      {workspace, stripPrefixes, addPrefix}
+    );
+    const coverageData = await loadCoverage(coverageFiles);
+    reportUnmatchedPaths({coverageData, workspace});
+
+    // A missing base coverage file (e.g. an expired artifact) shouldn't block changes, so only warn
+    let ratchet = null;
+    if (baseCoverageFiles.length > 0) {
+      try {
+        const baseCoverageData = await loadCoverage(baseCoverageFiles);
+        ratchet = compareProjectCoverage({baseCoverageData, coverageData, tolerance: maxCoverageDecrease});
+      } catch (error) {
+        core.warning(`Could not read base coverage, so overall coverage has not been compared: ${error.message}`);
+      }
+    }
+    // with a diff file the changes don't come from GitHub, so only look up the comparison when a
+    // pull request comment needs its number
+    const comparison = !diffFile || prComment ? await determineComparison({context, octokit, baseRef}) : null;
+    const changedFiles = diffFile
+      ? readDiff(diffFile)
+      : await fillMissingPatches({
+        context,
+        octokit,
+        changedFiles: await determineChangedFiles({context, octokit, comparison}),
+        workspace,
+        comparison
+      });
+    const files = mapToFiles({coverageData, changedFiles, workspace, config, requireCoverageFor});
     const relevantFiles = files.filter(file => !file.skipped);
     // core.debug(JSON.stringify({files}, "\n", 2));
 
-    const annotations = mapToAnnotations(relevantFiles);
+    const allAnnotations = mapToAnnotations(relevantFiles);
+    const annotations = allAnnotations.slice(0, maxAnnotations);
+    const omittedAnnotations = allAnnotations.length - annotations.length;
     const coveragePercentage = calculateCoverage(relevantFiles);
-    const {title, summary, details} = summarize({files, relevantFiles, coveragePercentage});
+    const groups = evaluateThresholds({files: relevantFiles, coverageThreshold, config});
+    const {title, summary, details} = summarize({files, relevantFiles, coveragePercentage, omittedAnnotations, groups, budget, ratchet});
     core.debug(JSON.stringify({annotations}, "\n", 2));
     core.info([title, summary, details].join('\n\n'));
 
-    const success = passed({coveragePercentage, coverageThreshold});
-    if (annotate) await createCheck({github, octokit, success, title, summary, details, annotations});
+    const failureMessages = failures({coveragePercentage, coverageThreshold, groups, files: relevantFiles, budget, ratchet});
+    const success = failureMessages.length == 0;
+
+    if (writeJobSummary) await jobSummary.write({context, sha: determineCommitSha(github), title, summary, details, files});
+    if (annotate) await report({github, octokit, reportMode, success, title, summary, details, annotations, jobSummaryWritten: writeJobSummary});
+    if (prComment) await commentOnPullRequest({context, octokit, comparison, success, title, summary, details, files});
 
     // Set outputs
+    const output = results.build({files, coveragePercentage, coverageThreshold, success});
     core.setOutput('coverage-percentage', coveragePercentage);
+    core.setOutput('total-lines', output.totalLines);
+    core.setOutput('covered-lines', output.coveredLines);
+    core.setOutput('passed', success);
+    core.setOutput('skipped-files', JSON.stringify(output.skippedFiles));
+    core.setOutput('report', JSON.stringify(output));
+    if (jsonReport) writeJson(jsonReport, output);
+    if (sarifReport) writeJson(sarifReport, sarif.build({files}));
 
     // Fail if coverage is below threshold
     if (!success) {
-      core.setFailed(`Code coverage (${util.formatPercent(coveragePercentage)}) is below the required threshold (${coverageThreshold}%)`);
+      core.setFailed(failureMessages.join('\n'));
     }
 
   } catch (error) {
@@ -201,4 +667,4 @@ async function run() {
   }
 }
 
-module.exports = {read, determineChangedFiles, determineCommitSha, calculateCoverage, summarize, passed, createCheck, run}
+module.exports = {read, readAll, readDiff, determineComparison, determineChangedFiles, fillMissingPatches, determineCommitSha, mapToFiles, calculateCoverage, calculateProjectCoverage, compareProjectCoverage, summarize, evaluateThresholds, failures, passed, createCheck, report, run}
@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+const formats = require('./formats');
+const sources = require('./formats/sources');
+
+// Rewrite a coverage file path so that it matches the repository-relative paths GitHub reports
+// for changed files:
+//   1. paths inside the workspace are made relative to it
+//   2. leading ./ and duplicate slashes are removed
+//   3. the first matching stripPrefixes entry is removed
+//   4. addPrefix is prepended
+function normalize(name, {workspace, stripPrefixes = [], addPrefix = ''} = {}) {
+  let normalized = path.posix.normalize(sources.relativize(name, workspace)).replace(/^(\.\/)+/, '');
+  const prefix = stripPrefixes.find(prefix => normalized.startsWith(prefix));
+  if (prefix) normalized = normalized.slice(prefix.length).replace(/^\/+/, '');
+  return addPrefix ? path.posix.join(addPrefix, normalized) : normalized;
+}
+
+// normalize all the paths in a set of coverage data, merging any that end up the same
+function normalizeCoverage(coverageData, options = {}) {
+  return formats.merge(Object.keys(coverageData).map(name => ({
+    [normalize(name, options)]: coverageData[name]
+  })));
+}
+
+// coverage paths that don't correspond to any file in the workspace, which usually means the
+// paths need rewriting
+function unmatchedPaths(coverageData, workspace) {
+  return Object.keys(coverageData).filter(name => !fs.existsSync(path.resolve(workspace, name)));
+}
+
+module.exports = {normalize, normalizeCoverage, unmatchedPaths};
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+
+// A pragma must be the whole of a comment on its own line, in any common comment style, e.g.
+// `// coverage-enforcer: ignore-next-line`, `# coverage-enforcer: ignore-start` or
+// `<!-- coverage-enforcer: ignore-end -->`. Mentions elsewhere (strings, docs) don't count.
+const PRAGMA = /^\s*(?:\/\/|#|\/\*|<!--|--|;)\s*coverage-enforcer:\s*(ignore-next-line|ignore-start|ignore-end|ignore-file)\s*(?:\*\/|-->)?\s*$/;
+
+// Find the line numbers excluded by pragmas in a source file:
+//   ignore-next-line  the line after the pragma
+//   ignore-start/end  the pragmas and every line between them, or to the end of the file if there
+//                     is no ignore-end (unclosedStart is then the line of the ignore-start)
+//   ignore-file       the whole file
+function parse(source = '') {
+  const lines = source.split('\n');
+  const ignored = [];
+  let file = false;
+  let start = null;
+
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+    const match = line.match(PRAGMA);
+    if (start !== null) ignored.push(lineNumber);
+    if (!match) return;
+
+    switch (match[1]) {
+      case 'ignore-next-line':
+        if (start === null && lineNumber < lines.length) ignored.push(lineNumber + 1);
+        break;
+      case 'ignore-start':
+        if (start === null) {
+          start = lineNumber;
+          ignored.push(lineNumber);
+        }
+        break;
+      case 'ignore-end':
+        start = null;
+        break;
+      case 'ignore-file':
+        file = true;
+        break;
+    }
+  });
+
+  return {file, lines: [...new Set(ignored)], unclosedStart: start};
+}
+
+// Read the pragmas from a checked out file. Files that can't be read (e.g. because they were
+// deleted) have none.
+function read(name, {workspace} = {}) {
+  let source;
+  try {
+    source = fs.readFileSync(path.resolve(workspace || '', name), 'utf8');
+  } catch {
+    return {file: false, lines: [], unclosedStart: null};
+  }
+  return parse(source);
+}
+
+module.exports = {parse, read};
@@ -0,0 +1,27 @@
+const util = require('./util');
+
+// Machine-readable version of the results, for action outputs and report files
+function build({files, coveragePercentage, coverageThreshold, success}) {
+  const relevantFiles = files.filter(file => !file.skipped);
+  return {
+    coveragePercentage,
+    coverageThreshold,
+    passed: success,
+    totalLines: util.sum(relevantFiles.map(file => file.relevantLinesCount)),
+    coveredLines: util.sum(relevantFiles.map(file => file.relevantExecutedLinesCount)),
+    files: relevantFiles.map(file => ({
+      name: file.name,
+      changedLines: file.changedLines,
+      relevantLines: file.relevantLines,
+      missedLines: file.relevantMissedLines,
+      missedRanges: file.changedUnexecutedLineRanges.map(({start, end}) => ({start, end})),
+      coveragePercent: file.coveragePercent
+    })),
+    skippedFiles: files.filter(file => file.skipped).map(file => ({
+      name: file.name,
+      reason: file.skipReason
+    }))
+  };
+}
+
+module.exports = {build};
@@ -0,0 +1,49 @@
+const RULE_ID = 'uncovered-changed-lines';
+
+// SARIF 2.1.0 log with a result for each range of changed lines that wasn't executed, for
+// uploading to GitHub code scanning
+function build({files}) {
+  const results = [];
+  files.filter(file => !file.skipped).forEach(file => {
+    file.changedUnexecutedLineRanges.forEach(range => {
+      results.push({
+        ruleId: RULE_ID,
+        level: 'warning',
+        message: {
+          text: range.start == range.end
+            ? `Line ${range.formatted} has no coverage`
+            : `Lines ${range.formatted} have no coverage`
+        },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: {uri: file.name, uriBaseId: '%SRCROOT%'},
+            region: {startLine: range.start, endLine: range.end}
+          }
+        }]
+      });
+    });
+  });
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'coverage-enforcer',
+          informationUri: 'https://github.com/madleech/coverage-enforcer',
+          rules: [{
+            id: RULE_ID,
+            name: 'UncoveredChangedLines',
+            shortDescription: {text: 'Changed lines not covered by tests'},
+            fullDescription: {text: 'Lines that were changed but were not executed by the test suite.'},
+            defaultConfiguration: {level: 'warning'}
+          }]
+        }
+      },
+      results
+    }]
+  };
+}
+
+module.exports = {build};
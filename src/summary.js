@@ -0,0 +1,55 @@
+const core = require('@actions/core');
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, char => ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;'})[char]);
+}
+
+// link to a range of lines in a file at a particular commit
+function lineLink({serverUrl, repo, sha, path, range}) {
+  const lines = range.start === range.end ? `L${range.start}` : `L${range.start}-L${range.end}`;
+  return `${serverUrl}/${repo.owner}/${repo.repo}/blob/${sha}/${encodeURI(path)}#${lines}`;
+}
+
+function canWrite() {
+  if (process.env.GITHUB_STEP_SUMMARY) return true;
+  core.info('Not writing job summary, as GITHUB_STEP_SUMMARY is not set');
+  return false;
+}
+
+function addTable({title, summary, details}) {
+  core.summary.addHeading(escapeHtml(title), 2);
+  core.summary.addRaw(escapeHtml(summary), true);
+  core.summary.addRaw(`\n${details}\n`, true);
+}
+
+// Write just the summary table to the job summary, for when it can't be shown on a check run
+async function writeTable({title, summary, details}) {
+  if (!canWrite()) return;
+  addTable({title, summary, details});
+  await core.summary.write();
+}
+
+// Write the report to the job summary shown on the workflow run page: the summary table, then a
+// collapsible section per file listing its uncovered line ranges, linked to the lines at sha.
+async function write({context, sha, title, summary, details, files}) {
+  if (!canWrite()) return;
+
+  const serverUrl = context.serverUrl || 'https://github.com';
+  addTable({title, summary, details});
+
+  files.filter(file => !file.skipped && file.relevantMissedLinesCount > 0).forEach(file => {
+    const items = file.changedUnexecutedLineRanges.map(range => {
+      const href = lineLink({serverUrl, repo: context.repo, sha, path: file.name, range});
+      const label = range.start === range.end ? `Line ${range.formatted}` : `Lines ${range.formatted}`;
+      return `<li><a href="${escapeHtml(href)}">${label}</a></li>`;
+    });
+    core.summary.addDetails(
+      `${escapeHtml(file.name)}: ${file.relevantMissedLinesCount} uncovered changed lines`,
+      `<ul>${items.join('')}</ul>`
+    );
+  });
+
+  await core.summary.write();
+}
+
+module.exports = {write, writeTable, lineLink};
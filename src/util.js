@@ -62,6 +62,8 @@ function compactCountsToLineNumbers(counts) {
         break;
     }
   }
+  // a range starting on the last count has nothing after it to close it
+  if (mode === WAITING_FOR_END) addToRange(start, start);
   return ranges;
 }
 
@@ -76,4 +78,36 @@ function formatPercent(percentage, dp = 1) {
   return `${Math.round(percentage * scaler) / scaler}%`;
 }
 
-module.exports = {compactCountsToLineNumbers, sum, formatPercent}
+// record an execution count against a 1-based line number, padding any gaps with nulls (not
+// executable). Counts for the same line are added together.
+function addLineCount(counts, lineNumber, count) {
+  while (counts.length < lineNumber) counts.push(null);
+  const index = lineNumber - 1;
+  counts[index] = counts[index] === null ? count : counts[index] + count;
+  return counts;
+}
+
+// turn sorted line numbers like [1, 2, 3, 5] into "1-3, 5"
+function formatLineRanges(lineNumbers) {
+  const ranges = [];
+  lineNumbers.forEach(lineNumber => {
+    const last = ranges[ranges.length - 1];
+    if (last && last.end + 1 === lineNumber) {
+      last.end = lineNumber;
+    } else {
+      ranges.push({start: lineNumber, end: lineNumber});
+    }
+  });
+  return ranges.map(({start, end}) => start === end ? `${start}` : `${start}-${end}`).join(', ');
+}
+
+// split items into arrays of at most size items
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+module.exports = {compactCountsToLineNumbers, sum, formatPercent, addLineCount, formatLineRanges, chunk}